@@ -0,0 +1,65 @@
+/**
+ * @file Service worker that lets the app load without a connection.
+ * It precaches the app shell and, once the app sends their list, every view in src/views/.
+ * The other files of the app (scripts, styles...) are cached the first time they are loaded.
+ * Requests are answered from the network whenever possible, so a deployed change is picked up
+ * on the next load, and from the cache only when the network fails.
+ * API data is not handled here: the controllers keep it in IndexedDB (see src/utils/offlineStore.js).
+ */
+
+/**
+ * The name of the cache. Bump its version to drop the files cached by an older service worker.
+ * @type {string}
+ */
+const CACHE_NAME = "event-manager-shell-v1";
+
+/**
+ * The app shell, cached as soon as the service worker is installed.
+ * Every route of the SPA is served by index.html.
+ * @type {string[]}
+ */
+const SHELL_URLS = ["/", "/index.html"];
+
+self.addEventListener("install", (event) => {
+    event.waitUntil(caches.open(CACHE_NAME).then(cache => cache.addAll(SHELL_URLS)));
+    self.skipWaiting();
+});
+
+self.addEventListener("activate", (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(names => Promise.all(names.filter(name => name !== CACHE_NAME).map(name => caches.delete(name))))
+            .then(() => self.clients.claim())
+    );
+});
+
+// The app sends the views of its route table, which is the only place that lists them
+self.addEventListener("message", (event) => {
+    if (event.data?.type !== "precache-views") return;
+    event.waitUntil(caches.open(CACHE_NAME).then(cache => cache.addAll(event.data.urls)));
+});
+
+self.addEventListener("fetch", (event) => {
+    const { request } = event;
+    const url = new URL(request.url);
+    // Only the app's own files; the API is on another origin
+    if (request.method !== "GET" || url.origin !== self.location.origin) return;
+
+    event.respondWith(
+        fetch(request)
+            .then(response => {
+                if (response.ok) {
+                    const copy = response.clone();
+                    caches.open(CACHE_NAME).then(cache => cache.put(request, copy));
+                }
+                return response;
+            })
+            .catch(async () => {
+                const cached = await caches.match(request);
+                if (cached) return cached;
+                // Deep links such as /events/3 are routes of the SPA, not files
+                if (request.mode === "navigate") return caches.match("/index.html");
+                return Response.error();
+            })
+    );
+});
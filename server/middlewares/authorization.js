@@ -0,0 +1,183 @@
+/**
+ * @file Authentication and authorization middlewares for the mock backend.
+ * The frontend's route guards only hide pages; these rules are what actually stop
+ * a visitor (or anyone with curl) from changing data they are not allowed to touch.
+ * They follow the same policy as the frontend (src/permissions.js).
+ */
+
+import { verifyToken } from "../utils/tokens.js";
+import { can, canOnAny, Action } from "../../src/permissions.js";
+
+/**
+ * Creates the middleware that reads the `Authorization: Bearer <token>` header and exposes the user as `req.user`.
+ * The account is looked up on every request, so a role change applies right away,
+ * and the sessions of disabled or deleted accounts stop working.
+ * Requests without a valid session continue with `req.user` set to `null`;
+ * rejecting them is left to the routes that need a user.
+ * @param {object} db - The lowdb instance exposed by the json-server router.
+ * @returns {import("express").RequestHandler} The middleware.
+ */
+export function authenticate(db) {
+    return (req, res, next) => {
+        const header = req.get("Authorization") || "";
+        const token = header.startsWith("Bearer ") ? header.slice("Bearer ".length) : null;
+        const payload = verifyToken(token);
+        const account = payload ? db.get("users").getById(payload.sub).value() : null;
+
+        req.user = account && !account.disabled ? { id: account.id, email: account.email, role: account.role } : null;
+        next();
+    };
+}
+
+/**
+ * Creates a middleware that only lets through authenticated users with one of the given roles.
+ * Responds with 401 when there is no valid session and 403 when the role is not allowed.
+ * Called with no roles, it only requires the user to be logged in.
+ * @param {...string} roles - The roles allowed to continue.
+ * @returns {import("express").RequestHandler} The middleware.
+ */
+export function requireRole(...roles) {
+    return (req, res, next) => {
+        if (!req.user) {
+            return res.status(401).jsonp({ error: "Authentication required." });
+        }
+        if (roles.length > 0 && !roles.includes(req.user.role)) {
+            return res.status(403).jsonp({ error: "You do not have permission to perform this action." });
+        }
+        next();
+    };
+}
+
+/**
+ * Creates a middleware that only lets through users allowed to perform an action (see src/permissions.js).
+ * Responds with 401 when there is no valid session and 403 when the action is not allowed.
+ * @param {string} action - One of the `Action` values.
+ * @param {(req: import("express").Request) => object|undefined} [findResource] - Finds the resource the request
+ * acts on, to check whether the user owns it. When there is none, only the user's role is checked,
+ * and the route answers with a 404 itself.
+ * @returns {import("express").RequestHandler} The middleware.
+ */
+export function requirePermission(action, findResource) {
+    return (req, res, next) => {
+        if (!req.user) {
+            return res.status(401).jsonp({ error: "Authentication required." });
+        }
+        if (!can(req.user, action, findResource ? findResource(req) : undefined)) {
+            return res.status(403).jsonp({ error: "You do not have permission to perform this action." });
+        }
+        next();
+    };
+}
+
+/**
+ * Registers the access rules for the generated REST resources.
+ * They must be registered before any other route so they run first.
+ * @param {import("express").Application} server - The json-server application.
+ * @param {object} db - The lowdb instance exposed by the json-server router.
+ */
+export function accessRules(server, db) {
+    /** Finds the event in the URL, to check whether the user owns it. */
+    const findEvent = (req) => db.get("events").getById(req.params.id).value();
+    // Lets users through to their own resources (the `:id` in the URL), and to anyone's if they may perform the action
+    const selfOr = (action) => [requireRole(), (req, res, next) => {
+        if (req.params.id === String(req.user.id)) return next();
+        requirePermission(action)(req, res, next);
+    }];
+
+    // The raw database dump would expose every password hash
+    server.get("/db", (req, res) => res.status(404).jsonp({}));
+
+    // Events can be read by anyone. Administrators manage them all, and organizers the ones they own.
+    // Visitors change attendees exclusively through the registration routes.
+    server.post("/events", requirePermission(Action.CREATE_EVENT), (req, res, next) => {
+        req.body.ownerId = req.user.id; // Whoever creates an event owns it
+        next();
+    });
+    // The owner never changes, whatever the body says
+    const keepOwner = (req, res, next) => {
+        const event = findEvent(req);
+        if (event) req.body.ownerId = event.ownerId ?? null;
+        next();
+    };
+    server.put("/events/:id", requirePermission(Action.UPDATE_EVENT, findEvent), keepOwner);
+    server.patch("/events/:id", requirePermission(Action.UPDATE_EVENT, findEvent), keepOwner);
+    server.delete("/events/:id", requirePermission(Action.DELETE_EVENT, findEvent));
+
+    // Deleted events are only seen by those who manage the trash, and only leave it through its custom routes
+    const manageTrash = requirePermission(Action.MANAGE_TRASH);
+    server.get(["/trash", "/trash/:id"], manageTrash);
+    server.post("/trash/:id/restore", manageTrash);
+    server.delete("/trash/:id", manageTrash);
+    const trashManaged = (req, res) => res.status(405).jsonp({ error: "Deleted events can only be restored or purged." });
+    ["/trash", "/trash/:id"].forEach(path => {
+        server.post(path, trashManaged);
+        server.put(path, trashManaged);
+        server.patch(path, trashManaged);
+    });
+
+    // Categories can be read by anyone, but only those allowed manage them
+    const manageCategories = requirePermission(Action.MANAGE_CATEGORIES);
+    server.post("/categories", manageCategories);
+    server.put("/categories/:id", manageCategories);
+    server.patch("/categories/:id", manageCategories);
+    server.delete("/categories/:id", manageCategories);
+
+    // Users can read their own account; looking others up and managing accounts need a permission.
+    // Visitors create their accounts through /auth/register.
+    const manageUsers = requirePermission(Action.MANAGE_USERS);
+    // Those who may only look up the people on their own events, like organizers, ask for them by ID
+    // and only get their emails: the list of every account, with their roles, isn't theirs to read
+    const isOnOwnEvent = (user, userId) => db.get("events")
+        .some(event => can(user, Action.VIEW_USERS, event)
+            && [...event.attendees, ...(event.waitlist || [])].some(id => String(id) === String(userId)))
+        .value();
+    const lookUpOwnPeople = (req, res, next) => {
+        if (canOnAny(req.user, Action.VIEW_USERS) || req.params.id === String(req.user.id)) return next();
+
+        const ids = (req.params.id !== undefined ? [req.params.id] : [].concat(req.query.id ?? [])).map(String);
+        if (ids.length === 0 || !ids.every(id => isOnOwnEvent(req.user, id))) {
+            return res.status(403).jsonp({ error: "You can only look up the people on your own events." });
+        }
+        const people = db.get("users")
+            .filter(user => ids.includes(String(user.id)))
+            .map(({ id, email }) => ({ id, email }))
+            .value();
+        if (req.params.id === undefined) return res.jsonp(people);
+        return people.length > 0 ? res.jsonp(people[0]) : res.status(404).jsonp({ error: "User not found." });
+    };
+    server.get("/users/:id", selfOr(Action.VIEW_USERS), lookUpOwnPeople);
+    server.get("/users", requirePermission(Action.VIEW_USERS), lookUpOwnPeople);
+    server.post("/users", manageUsers);
+    // PUT would replace the whole account, password hash included, so accounts are only changed with PATCH
+    server.put("/users/:id", manageUsers, (req, res) => res.status(405).jsonp({ error: "Accounts can only be changed with PATCH." }));
+    server.patch("/users/:id", manageUsers);
+    server.delete("/users/:id", manageUsers);
+
+    // Ticket codes get attendees in, so users only see their own, and only the server issues them.
+    // Embedding tickets in event responses would expose everyone's codes.
+    const ticketPaths = ["/tickets", "/tickets/:id", "/events/:id/tickets", "/users/:id/tickets"];
+    const serverManaged = (req, res) => res.status(405).jsonp({ error: "Tickets are issued by the server." });
+    ticketPaths.forEach(path => {
+        server.post(path, serverManaged);
+        server.put(path, serverManaged);
+        server.patch(path, serverManaged);
+        server.delete(path, serverManaged);
+    });
+    server.get("/users/:id/tickets", selfOr(Action.VIEW_ANALYTICS));
+    server.get(["/tickets", "/tickets/:id"], requirePermission(Action.VIEW_ANALYTICS));
+    // Without the event, only the role would be checked, e.g. for the tickets of a deleted event
+    const requireEvent = (req, res, next) => findEvent(req) ? next() : res.status(404).jsonp({ error: "Event not found." });
+    server.get("/events/:id/tickets", requireEvent, requirePermission(Action.MANAGE_ATTENDEES, findEvent));
+
+    // json-server also serves tickets through every other resource, embedded (`/users?_embed=tickets`)
+    // or nested (`/categories/1/tickets?eventId=1`). All of them are checked here, in one place:
+    // only those who may read every ticket get them that way.
+    const ruledTicketPath = /^\/(tickets(\/[^/]+)?|(events|users)\/[^/]+\/tickets)\/?$/;
+    const embedsTickets = (req) => ["_embed", "_expand"].some(param =>
+        [].concat(req.query[param] ?? []).some(name => String(name).trim().startsWith("ticket")));
+    server.get("*", (req, res, next) => {
+        const nestsTickets = !ruledTicketPath.test(req.path) && req.path.split("/").includes("tickets");
+        if (nestsTickets || embedsTickets(req)) return requirePermission(Action.VIEW_ANALYTICS)(req, res, next);
+        next();
+    });
+}
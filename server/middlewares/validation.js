@@ -0,0 +1,112 @@
+/**
+ * @file Validation middlewares for the mock backend.
+ * Writes are checked with the same model rules the frontend forms use (see src/models/),
+ * so requests that skip the forms, such as the Postman collection or plain curl, can't store
+ * invalid data. Invalid requests get a 400 with the structured field errors:
+ * `{ error: "...", errors: { field: "message" } }`.
+ */
+
+import Event from "../../src/models/event.js";
+import Category from "../../src/models/category.js";
+import User from "../../src/models/user.js";
+import { hasErrors } from "../../src/models/validation.js";
+
+/**
+ * Rejects a request with its field errors.
+ * @param {import("express").Response} res
+ * @param {Object.<string, string>} errors - The field errors.
+ */
+function rejectInvalid(res, errors) {
+    res.status(400).jsonp({ error: Object.values(errors).join(" "), errors });
+}
+
+/**
+ * Builds the record a write would leave in the database, so it can be validated as a whole.
+ * PATCH requests only carry the changed fields, so they are merged into the stored record.
+ * @param {import("express").Request} req
+ * @param {object|undefined} existing - The stored record, for requests on an existing one.
+ * @returns {object} The resulting record.
+ */
+function resultingRecord(req, existing) {
+    return req.method === "PATCH" ? { ...existing, ...req.body } : req.body;
+}
+
+/**
+ * Registers the validation rules for every write to events, categories and users.
+ * They must be registered after the access rules, so unauthorized requests get a 401/403 first,
+ * and before the other custom routes, which may change the request body.
+ * @param {import("express").Application} server - The json-server application.
+ * @param {object} db - The lowdb instance exposed by the json-server router.
+ */
+export function validationRules(server, db) {
+    const validateEvent = (req, res, next) => {
+        const existing = req.params.id ? db.get("events").getById(req.params.id).value() : undefined;
+        if (req.params.id && !existing) return next(); // The router answers with a 404
+
+        // The capacity is checked against the people already registered, even if the body doesn't list them
+        const event = resultingRecord(req, existing);
+        const errors = Event.validate({ attendees: existing?.attendees, ...event });
+        // The waitlist only changes through the waitlist routes, which check who joins and keep its order consistent.
+        // New events start with an empty one, and a body may repeat the stored one unchanged.
+        if (req.body.waitlist !== undefined && JSON.stringify(req.body.waitlist) !== JSON.stringify(existing?.waitlist ?? [])) {
+            errors.waitlist = "The waitlist can only be changed through the waitlist routes.";
+        }
+        if (!errors.category && event.category !== undefined && event.category !== null
+            && !db.get("categories").getById(event.category).value()) {
+            errors.category = "The category does not exist.";
+        }
+        if (hasErrors(errors)) return rejectInvalid(res, errors);
+        next();
+    };
+    server.post("/events", validateEvent);
+    server.put("/events/:id", validateEvent);
+    server.patch("/events/:id", validateEvent);
+
+    // Category names must be unique, ignoring case, so the filter never lists two lookalikes
+    const validateCategory = (req, res, next) => {
+        const existing = req.params.id ? db.get("categories").getById(req.params.id).value() : undefined;
+        if (req.params.id && !existing) return next();
+
+        const category = resultingRecord(req, existing);
+        const errors = Category.validate(category);
+        const name = String(category.name ?? "").trim().toLowerCase();
+        const duplicate = db.get("categories").find(other => other.name.toLowerCase() === name && other.id !== existing?.id).value();
+        if (!errors.name && duplicate) errors.name = "A category with this name already exists.";
+        if (hasErrors(errors)) return rejectInvalid(res, errors);
+        next();
+    };
+    server.post("/categories", validateCategory);
+    server.put("/categories/:id", validateCategory);
+    server.patch("/categories/:id", validateCategory);
+
+    // Administrators create and edit accounts directly. A new `password` is checked against the policy here
+    // and hashed by the user routes; the stored hashes themselves can't be written.
+    const validateUser = (req, res, next) => {
+        const existing = req.params.id ? db.get("users").getById(req.params.id).value() : undefined;
+        if (req.params.id && !existing) return next();
+
+        // New accounts need a password, like the ones created through /auth/register
+        const user = req.method === "POST" ? { password: "", ...req.body } : resultingRecord(req, existing);
+        const errors = User.validate(user);
+        if (req.body.email !== undefined && typeof req.body.email !== "string") {
+            errors.email = "The email must be text.";
+        }
+        if (req.body.password !== undefined && typeof req.body.password !== "string") {
+            errors.password = "The password must be text.";
+        }
+        if (req.body.passwordHash !== undefined) {
+            errors.passwordHash = "Password hashes are managed by the server. Send a new password instead.";
+        }
+        if (hasErrors(errors)) return rejectInvalid(res, errors);
+        next();
+    };
+    server.post("/users", validateUser);
+    server.patch("/users/:id", validateUser);
+
+    server.post("/auth/register", (req, res, next) => {
+        const { email, password } = req.body;
+        const errors = User.validate({ email, password });
+        if (hasErrors(errors)) return rejectInvalid(res, errors);
+        next();
+    });
+}
@@ -0,0 +1,30 @@
+/**
+ * @file One-off migration that adds the `categories` collection and gives every event,
+ * including deleted ones, an empty `category`, `tags` and `image`.
+ * json-server ignores filters on fields that no record has, so the category filter only works
+ * once the events have the field. Values that are already set are kept, so it is safe to run more than once.
+ *
+ * Usage: npm run migrate:event-categories (or `DB_FILE=path/to/db.json node server/migrations/event-categories.js`)
+ */
+
+import { readFileSync, writeFileSync } from "node:fs";
+
+const DB_FILE = process.env.DB_FILE || "db.json";
+
+const data = JSON.parse(readFileSync(DB_FILE, "utf-8"));
+let migrated = 0;
+
+// json-server only serves the collections that exist when it starts
+if (!Array.isArray(data.categories)) data.categories = [];
+
+const migrate = event => {
+    if (event.category !== undefined && event.tags !== undefined && event.image !== undefined) return event;
+
+    migrated++;
+    return { ...event, category: event.category ?? null, tags: event.tags ?? [], image: event.image ?? null };
+};
+data.events = data.events.map(migrate);
+data.trash = (data.trash || []).map(migrate);
+
+writeFileSync(DB_FILE, JSON.stringify(data, null, 2));
+console.log(`Migrated ${migrated} event(s) in ${DB_FILE}.`);
@@ -0,0 +1,49 @@
+/**
+ * @file One-off migration that replaces the single `date` of each event with `start`, `end` and `timezone`.
+ * The event is assumed to last the whole day (00:00 to 23:59) in the given timezone.
+ * Events that already have a `start` are left untouched, so it is safe to run more than once.
+ *
+ * Usage: npm run migrate:event-dates
+ * (or `DB_FILE=path/to/db.json DEFAULT_TIMEZONE=Europe/Madrid node server/migrations/event-datetimes.js`)
+ */
+
+import { readFileSync, writeFileSync } from "node:fs";
+
+const DB_FILE = process.env.DB_FILE || "db.json";
+const DEFAULT_TIMEZONE = process.env.DEFAULT_TIMEZONE || "America/Bogota";
+
+/**
+ * Converts a wall-clock date and time in a timezone to a UTC ISO instant.
+ * @param {string} localDateTime - The wall-clock time as YYYY-MM-DDTHH:mm.
+ * @param {string} timeZone - The IANA timezone name.
+ * @returns {string} The UTC instant as an ISO string.
+ */
+function zonedTimeToUtc(localDateTime, timeZone) {
+    const wallClockAsUtc = Date.parse(`${localDateTime}Z`);
+    const parts = new Intl.DateTimeFormat("en-US", {
+        timeZone, hourCycle: "h23",
+        year: "numeric", month: "2-digit", day: "2-digit", hour: "2-digit", minute: "2-digit",
+    }).formatToParts(new Date(wallClockAsUtc));
+    const values = Object.fromEntries(parts.map(part => [part.type, Number(part.value)]));
+    const offset = Date.UTC(values.year, values.month - 1, values.day, values.hour, values.minute) - wallClockAsUtc;
+    return new Date(wallClockAsUtc - offset).toISOString();
+}
+
+const data = JSON.parse(readFileSync(DB_FILE, "utf-8"));
+let migrated = 0;
+
+data.events = data.events.map(event => {
+    if (event.start !== undefined || event.date === undefined) return event;
+
+    const { date, ...rest } = event;
+    migrated++;
+    return {
+        ...rest,
+        start: zonedTimeToUtc(`${date}T00:00`, DEFAULT_TIMEZONE),
+        end: zonedTimeToUtc(`${date}T23:59`, DEFAULT_TIMEZONE),
+        timezone: DEFAULT_TIMEZONE,
+    };
+});
+
+writeFileSync(DB_FILE, JSON.stringify(data, null, 2));
+console.log(`Migrated ${migrated} event(s) in ${DB_FILE} (timezone: ${DEFAULT_TIMEZONE}).`);
@@ -0,0 +1,26 @@
+/**
+ * @file One-off migration that gives every event, including deleted ones, an `ownerId`.
+ * Events created before organizers existed have no owner, so only administrators manage them.
+ * Owners that are already set are kept, so it is safe to run more than once.
+ *
+ * Usage: npm run migrate:event-owners (or `DB_FILE=path/to/db.json node server/migrations/event-owners.js`)
+ */
+
+import { readFileSync, writeFileSync } from "node:fs";
+
+const DB_FILE = process.env.DB_FILE || "db.json";
+
+const data = JSON.parse(readFileSync(DB_FILE, "utf-8"));
+let migrated = 0;
+
+const migrate = event => {
+    if (event.ownerId !== undefined) return event;
+
+    migrated++;
+    return { ...event, ownerId: null };
+};
+data.events = data.events.map(migrate);
+data.trash = (data.trash || []).map(migrate);
+
+writeFileSync(DB_FILE, JSON.stringify(data, null, 2));
+console.log(`Migrated ${migrated} event(s) in ${DB_FILE}.`);
@@ -0,0 +1,25 @@
+/**
+ * @file One-off migration that replaces plaintext passwords in the database with salted hashes.
+ * Users that already have a `passwordHash` are left untouched, so it is safe to run more than once.
+ *
+ * Usage: npm run migrate:passwords (or `DB_FILE=path/to/db.json node server/migrations/hash-passwords.js`)
+ */
+
+import { readFileSync, writeFileSync } from "node:fs";
+import { hashPassword } from "../utils/passwords.js";
+
+const DB_FILE = process.env.DB_FILE || "db.json";
+
+const data = JSON.parse(readFileSync(DB_FILE, "utf-8"));
+let migrated = 0;
+
+data.users = data.users.map(user => {
+    if (user.password === undefined) return user;
+
+    const { password, ...rest } = user;
+    migrated++;
+    return { ...rest, passwordHash: hashPassword(password) };
+});
+
+writeFileSync(DB_FILE, JSON.stringify(data, null, 2));
+console.log(`Migrated ${migrated} user(s) in ${DB_FILE}.`);
@@ -0,0 +1,97 @@
+/**
+ * @file Custom authentication routes.
+ * Credentials are checked on the server against salted password hashes,
+ * and a successful login returns a signed session token.
+ */
+
+import { hashPassword, verifyPassword } from "../utils/passwords.js";
+import { createToken } from "../utils/tokens.js";
+import { Role } from "../../src/permissions.js";
+
+/**
+ * Removes the password hash from a user object before sending it to the client.
+ * @param {object} user - The user object from the database.
+ * @returns {object} A copy of the user without credentials.
+ */
+export function toPublicUser(user) {
+    const { passwordHash, ...publicUser } = user;
+    return publicUser;
+}
+
+/**
+ * Puts an email in the form accounts are stored with, so the same address is never stored twice.
+ * @param {string} email - The email, as typed.
+ * @returns {string} The email, trimmed and lowercase.
+ */
+export function normalizeEmail(email) {
+    return email.trim().toLowerCase();
+}
+
+/**
+ * Finds a user by email, ignoring case and surrounding spaces.
+ * Records whose email isn't text, e.g. edited by hand, never match.
+ * @param {object} db - The lowdb instance exposed by the json-server router.
+ * @param {string} email - The email to look for.
+ * @returns {object|undefined} The user, with their password hash, if there is one.
+ */
+export function findUserByEmail(db, email) {
+    const wanted = normalizeEmail(String(email));
+    return db.get("users")
+        .find(user => typeof user.email === "string" && normalizeEmail(user.email) === wanted)
+        .value();
+}
+
+/**
+ * Creates an account, storing a salted hash of its password, never the password itself.
+ * Accounts are created this way both when visitors register and when administrators add them.
+ * @param {object} db - The lowdb instance exposed by the json-server router.
+ * @param {{email: string, password: string, role?: string}} account - The account's email, raw password and role
+ * (a visitor by default).
+ * @returns {object} The created user, with their password hash.
+ */
+export function createUser(db, { email, password, role = Role.VISITOR }) {
+    return db.get("users")
+        .insert({ email: normalizeEmail(email), passwordHash: hashPassword(password), role })
+        .write();
+}
+
+/**
+ * Registers the authentication routes on the server.
+ * @param {import("express").Application} server - The json-server application.
+ * @param {object} db - The lowdb instance exposed by the json-server router.
+ */
+export function authRoutes(server, db) {
+    // POST /auth/register - Create a visitor account with a hashed password
+    server.post("/auth/register", (req, res) => {
+        const { email, password } = req.body;
+        if (!email || !password || typeof email !== "string" || typeof password !== "string") {
+            return res.status(400).jsonp({ error: "Email and password are required." });
+        }
+        if (findUserByEmail(db, email)) {
+            return res.status(409).jsonp({ error: "A user with this email already exists." });
+        }
+
+        // The role is always assigned here; clients cannot register themselves as administrators
+        const createdUser = createUser(db, { email, password, role: Role.VISITOR });
+        res.status(201).jsonp(toPublicUser(createdUser));
+    });
+
+    // POST /auth/login - Verify credentials and issue a session token
+    server.post("/auth/login", (req, res) => {
+        const { email, password } = req.body;
+        if (!email || !password || typeof email !== "string" || typeof password !== "string") {
+            return res.status(400).jsonp({ error: "Email and password are required." });
+        }
+        const user = findUserByEmail(db, email);
+
+        if (!user || !verifyPassword(password, user.passwordHash)) {
+            return res.status(401).jsonp({ error: "Invalid credentials." });
+        }
+        if (user.disabled) {
+            return res.status(403).jsonp({ error: "This account has been disabled. Please contact an administrator." });
+        }
+
+        const { token, expiresAt } = createToken(user);
+        res.jsonp({ token, expiresAt, user: toPublicUser(user) });
+    });
+}
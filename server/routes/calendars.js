@@ -0,0 +1,70 @@
+/**
+ * @file Custom routes that export events as iCalendar (.ics) files.
+ * - `GET /calendars/events/:id.ics` downloads a single event. Events are public, so anyone can.
+ * - `GET /calendars/events.ics` downloads the whole catalogue. Administrators and organizers only.
+ * - `GET /calendars/feed` returns the logged-in user's subscription URL.
+ * - `GET /calendars/users/:id.ics?token=...` is that subscription: every event the user
+ *   is registered for. Calendar apps poll it without a session, so it is authorized by
+ *   the feed token in the URL instead.
+ */
+
+import { requireRole, requirePermission } from "../middlewares/authorization.js";
+import { Action } from "../../src/permissions.js";
+import { buildCalendar } from "../utils/ics.js";
+import { createFeedToken, verifyFeedToken } from "../utils/tokens.js";
+
+/**
+ * Sends events as an iCalendar file.
+ * @param {import("express").Request} req
+ * @param {import("express").Response} res
+ * @param {object[]} events - The events to send.
+ * @param {string} name - The calendar name, also used for the file name.
+ * @param {boolean} [attachment=true] - Whether browsers should download the file instead of opening it.
+ */
+function sendCalendar(req, res, events, name, attachment = true) {
+    const fileName = name.toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "") || "calendar";
+    res.set("Content-Type", "text/calendar; charset=utf-8");
+    if (attachment) res.set("Content-Disposition", `attachment; filename="${fileName}.ics"`);
+    res.send(buildCalendar(events, { name, domain: req.hostname }));
+}
+
+/**
+ * Registers the calendar export routes on the server.
+ * @param {import("express").Application} server - The json-server application.
+ * @param {object} db - The lowdb instance exposed by the json-server router.
+ */
+export function calendarRoutes(server, db) {
+    // Registered before the single-event route, which would otherwise match "events.ics"
+    server.get("/calendars/events.ics", requirePermission(Action.EXPORT_CATALOGUE), (req, res) => {
+        const events = db.get("events").sortBy("start").value();
+        sendCalendar(req, res, events, "All events");
+    });
+
+    server.get("/calendars/events/:id.ics", (req, res) => {
+        const event = db.get("events").getById(req.params.id).value();
+        if (!event) return res.status(404).jsonp({ error: "Event not found." });
+        sendCalendar(req, res, [event], event.title);
+    });
+
+    server.get("/calendars/feed", requireRole(), (req, res) => {
+        const token = createFeedToken(req.user.id);
+        const url = `${req.protocol}://${req.get("host")}/calendars/users/${req.user.id}.ics?token=${token}`;
+        res.jsonp({ url });
+    });
+
+    server.get("/calendars/users/:id.ics", (req, res) => {
+        if (!verifyFeedToken(req.params.id, req.query.token)) {
+            return res.status(403).jsonp({ error: "Invalid calendar feed token." });
+        }
+        const user = db.get("users").getById(req.params.id).value();
+        // Disabled accounts keep their registrations, but their subscriptions stop with their access
+        if (!user || user.disabled) return res.status(404).jsonp({ error: "User not found." });
+
+        const events = db.get("events")
+            .filter(event => event.attendees.some(id => String(id) === String(user.id)))
+            .sortBy("start")
+            .value();
+        // Served inline so calendar apps treat it as a feed rather than a one-off download
+        sendCalendar(req, res, events, `My events (${user.email})`, false);
+    });
+}
@@ -0,0 +1,35 @@
+/**
+ * @file Custom route for deleting event categories.
+ * Categories are otherwise served by the generated REST API (reads by anyone, writes by administrators).
+ * Deleting one goes through here so the events that used it, including deleted ones, become uncategorized
+ * instead of pointing to a category that no longer exists, and are sent as live updates.
+ */
+
+/**
+ * Registers the category routes on the server.
+ * @param {import("express").Application} server - The json-server application.
+ * @param {object} db - The lowdb instance exposed by the json-server router.
+ */
+export function categoryRoutes(server, db) {
+    if (!db.has("categories").value()) db.set("categories", []).write();
+
+    // DELETE /categories/:id - Delete a category and take it off its events.
+    // Answered here rather than by json-server, whose deletes also remove records it considers orphaned.
+    server.delete("/categories/:id", (req, res) => {
+        const category = db.get("categories").getById(req.params.id).value();
+        if (!category) return res.status(404).jsonp({ error: "Category not found." });
+
+        res.locals.changedEventIds = [];
+        ["events", "trash"].forEach(collection => {
+            db.get(collection).value()
+                .filter(event => String(event.category) === String(category.id))
+                .forEach(event => {
+                    event.category = null;
+                    res.locals.changedEventIds.push(event.id);
+                });
+        });
+        // Writing saves the uncategorized events too, since they are part of the same database
+        db.get("categories").remove({ id: category.id }).write();
+        res.jsonp({});
+    });
+}
@@ -0,0 +1,247 @@
+/**
+ * @file Custom routes for event registrations and waitlists.
+ * Every handler reads the event, checks capacity and writes the result synchronously,
+ * so no other request can be processed in between. This is what prevents two visitors
+ * registering at the same time from overwriting each other or overselling an event.
+ *
+ * These routes also keep each event's derived `seatsLeft` field up to date, which lets
+ * clients filter and sort by availability with plain json-server queries
+ * (e.g. `seatsLeft_gte=1` or `_sort=seatsLeft`), and issue or revoke the attendees' tickets.
+ */
+
+import { requireRole, requirePermission } from "../middlewares/authorization.js";
+import { can, Action } from "../../src/permissions.js";
+import { isPastEvent } from "../../src/utils/dates.js";
+import { syncEventTickets } from "../utils/tickets.js";
+import { findUserByEmail } from "./auth.js";
+
+/**
+ * Moves visitors from the front of the waitlist into the attendees list
+ * for as long as the event has free seats.
+ * Events created before the waitlist existed have no `waitlist` property, so it defaults to empty.
+ * @param {object} event - The event object, with its current `attendees`, `waitlist` and `capacity`.
+ * @returns {{attendees: Array, waitlist: Array, seatsLeft: number}} The resulting attendees and waitlist arrays,
+ * and the number of seats still free.
+ */
+export function promoteFromWaitlist(event) {
+    const attendees = [...(event.attendees || [])];
+    const waitlist = [...(event.waitlist || [])];
+    while (attendees.length < event.capacity && waitlist.length > 0) {
+        attendees.push(waitlist.shift());
+    }
+    return { attendees, waitlist, seatsLeft: Math.max(event.capacity - attendees.length, 0) };
+}
+
+/**
+ * Recomputes `seatsLeft` for every event, e.g. after `db.json` was edited by hand.
+ * Meant to be called once when the server starts.
+ * @param {object} db - The lowdb instance exposed by the json-server router.
+ */
+export function syncSeatsLeft(db) {
+    db.get("events")
+        .each(event => {
+            event.seatsLeft = Math.max(event.capacity - event.attendees.length, 0);
+        })
+        .write();
+}
+
+/**
+ * Determines which user a registration request acts on.
+ * Those who manage the event's attendees may pass another user's ID or email in the body,
+ * so they can add people without looking accounts up; otherwise users act on themselves,
+ * if they may register for events.
+ * @param {object} db - The lowdb instance exposed by the json-server router.
+ * @param {import("express").Request} req - The authenticated request.
+ * @param {object} event - The event registered for.
+ * @returns {string|number|null|undefined} The target user ID, `undefined` if no user has the email,
+ * or `null` if the request isn't allowed.
+ */
+function targetUserId(db, req, event) {
+    if (can(req.user, Action.MANAGE_ATTENDEES, event)) {
+        if (req.body.userId !== undefined) return req.body.userId;
+        if (req.body.email !== undefined) return findUserByEmail(db, req.body.email)?.id;
+    }
+    return can(req.user, Action.REGISTER) ? req.user.id : null;
+}
+
+/**
+ * Checks whether a request may act on the user ID in its URL.
+ * Users may always remove themselves; those who manage the event's attendees may remove anyone.
+ * @param {import("express").Request} req - The authenticated request.
+ * @param {object} event - The event.
+ * @returns {boolean} True if the request is allowed.
+ */
+function canActOn(req, event) {
+    return req.params.userId === String(req.user.id) || can(req.user, Action.MANAGE_ATTENDEES, event);
+}
+
+/**
+ * Checks whether a list of user IDs contains the given ID.
+ * IDs coming from URL parameters are strings while the stored ones are numbers,
+ * so both sides are compared as strings.
+ * @param {Array} ids - The list of user IDs.
+ * @param {string|number} userId - The user ID to look for.
+ * @returns {boolean} True if the ID is in the list.
+ */
+function includesId(ids, userId) {
+    return ids.some(id => String(id) === String(userId));
+}
+
+/**
+ * Registers the registration and waitlist routes on the server.
+ * @param {import("express").Application} server - The json-server application.
+ * @param {object} db - The lowdb instance exposed by the json-server router.
+ */
+export function registrationRoutes(server, db) {
+    /** Returns the lowdb chain for a single event. */
+    const findEvent = (eventId) => db.get("events").getById(eventId);
+    const requireUser = requireRole();
+    const forbidden = (res) => res.status(403).jsonp({ error: "You can only change your own registrations." });
+    const cannotRegister = (res) => res.status(403).jsonp({ error: "You do not have permission to register for events." });
+
+    // POST /events/:id/registrations - Reserve a seat for a user
+    server.post("/events/:id/registrations", requireUser, (req, res) => {
+        const event = findEvent(req.params.id).value();
+        if (!event) return res.status(404).jsonp({ error: "Event not found." });
+
+        // Adding someone else is only possible for existing users
+        const targetId = targetUserId(db, req, event);
+        if (targetId === null) return cannotRegister(res);
+        const user = targetId === undefined ? undefined : db.get("users").getById(targetId).value();
+        if (!user) return res.status(404).jsonp({ error: targetId === undefined ? "There is no user with this email." : "User not found." });
+        const userId = user.id;
+        const isSelf = String(userId) === String(req.user.id);
+
+        // The `reason` lets clients react to each conflict, e.g. when replaying a registration made offline
+        if (isPastEvent(event)) {
+            return res.status(409).jsonp({ error: "This event has already taken place.", reason: "past" });
+        }
+        if (includesId(event.attendees, userId)) {
+            return res.status(409).jsonp({
+                error: isSelf ? "You are already registered for this event." : "This user is already registered for this event.",
+                reason: "already-registered",
+            });
+        }
+        if (event.attendees.length >= event.capacity) {
+            return res.status(409).jsonp({ error: "This event is full.", reason: "full" });
+        }
+
+        const updatedEvent = findEvent(req.params.id)
+            .assign({
+                attendees: [...event.attendees, userId],
+                waitlist: (event.waitlist || []).filter(id => String(id) !== String(userId)),
+                seatsLeft: event.capacity - event.attendees.length - 1
+            })
+            .write();
+        syncEventTickets(db, event.id, updatedEvent.attendees);
+        res.status(201).jsonp(updatedEvent);
+    });
+
+    // DELETE /events/:id/registrations/:userId - Release a seat and promote from the waitlist
+    server.delete("/events/:id/registrations/:userId", requireUser, (req, res) => {
+        const event = findEvent(req.params.id).value();
+        if (!event) return res.status(404).jsonp({ error: "Event not found." });
+        if (!canActOn(req, event)) return forbidden(res);
+
+        if (!includesId(event.attendees, req.params.userId)) {
+            const isSelf = req.params.userId === String(req.user.id);
+            return res.status(404).jsonp({
+                error: isSelf ? "You are not registered for this event." : "This user is not registered for this event.",
+                reason: "not-registered",
+            });
+        }
+
+        const remainingAttendees = event.attendees.filter(id => String(id) !== req.params.userId);
+        const updatedEvent = findEvent(req.params.id)
+            .assign(promoteFromWaitlist({ ...event, attendees: remainingAttendees }))
+            .write();
+        // Revokes the leaving user's ticket and issues tickets to anyone promoted from the waitlist
+        syncEventTickets(db, event.id, updatedEvent.attendees);
+        res.jsonp(updatedEvent);
+    });
+
+    // POST /events/:id/waitlist - Queue a user for a full event
+    server.post("/events/:id/waitlist", requireUser, (req, res) => {
+        const event = findEvent(req.params.id).value();
+        if (!event) return res.status(404).jsonp({ error: "Event not found." });
+
+        const userId = targetUserId(db, req, event);
+        if (userId === null) return cannotRegister(res);
+        if (userId === undefined) return res.status(404).jsonp({ error: "There is no user with this email." });
+
+        const waitlist = event.waitlist || [];
+        if (isPastEvent(event)) {
+            return res.status(409).jsonp({ error: "This event has already taken place." });
+        }
+        // The waitlist only makes sense once every seat is taken
+        if (event.attendees.length < event.capacity) {
+            return res.status(409).jsonp({ error: "This event still has seats available. Please register instead." });
+        }
+        if (includesId(event.attendees, userId)) {
+            return res.status(409).jsonp({ error: "You are already registered for this event." });
+        }
+        if (includesId(waitlist, userId)) {
+            return res.status(409).jsonp({ error: "You are already on the waitlist for this event." });
+        }
+
+        const updatedEvent = findEvent(req.params.id).assign({ waitlist: [...waitlist, userId] }).write();
+        res.status(201).jsonp(updatedEvent);
+    });
+
+    // PATCH /events/:id/waitlist/:userId - Move a waitlisted user one place up (`direction: -1`) or down (`direction: 1`).
+    // The swap happens in the same write as the read, so users joining or leaving meanwhile are never lost or brought back.
+    server.patch("/events/:id/waitlist/:userId", requirePermission(Action.UPDATE_EVENT, req => findEvent(req.params.id).value()), (req, res) => {
+        const event = findEvent(req.params.id).value();
+        if (!event) return res.status(404).jsonp({ error: "Event not found." });
+
+        const direction = Number(req.body.direction);
+        if (direction !== -1 && direction !== 1) {
+            return res.status(400).jsonp({ error: "The direction must be -1 (up) or 1 (down).", errors: { direction: "The direction must be -1 (up) or 1 (down)." } });
+        }
+        const waitlist = [...(event.waitlist || [])];
+        const index = waitlist.findIndex(id => String(id) === req.params.userId);
+        if (index === -1) {
+            return res.status(404).jsonp({ error: "This user is not on the waitlist.", reason: "not-waitlisted" });
+        }
+        const targetIndex = index + direction;
+        if (targetIndex < 0 || targetIndex >= waitlist.length) return res.jsonp(event); // Already at that end of the queue
+
+        [waitlist[index], waitlist[targetIndex]] = [waitlist[targetIndex], waitlist[index]];
+        const updatedEvent = findEvent(req.params.id).assign({ waitlist }).write();
+        res.jsonp(updatedEvent);
+    });
+
+    // DELETE /events/:id/waitlist/:userId - Leave the waitlist
+    server.delete("/events/:id/waitlist/:userId", requireUser, (req, res) => {
+        const event = findEvent(req.params.id).value();
+        if (!event) return res.status(404).jsonp({ error: "Event not found." });
+        if (!canActOn(req, event)) return forbidden(res);
+
+        const waitlist = (event.waitlist || []).filter(id => String(id) !== req.params.userId);
+        const updatedEvent = findEvent(req.params.id).assign({ waitlist }).write();
+        res.jsonp(updatedEvent);
+    });
+
+    /**
+     * Keeps the seats consistent whenever an event is created or changed:
+     * waitlisted users are promoted into free seats and `seatsLeft` is recomputed.
+     * `seatsLeft` is derived, so whatever the body says about it is overwritten; clients filter and sort by it.
+     * The result is merged into the request body and the generated router performs the write.
+     * Tickets are synced with the new attendees right away, including those of a new event,
+     * whose ID the trash routes have assigned by then.
+     */
+    const syncSeats = (req, res, next) => {
+        const event = req.params.id ? findEvent(req.params.id).value() : {};
+        if (event) {
+            const merged = { ...event, ...req.body };
+            Object.assign(req.body, promoteFromWaitlist({ ...merged, capacity: Number(merged.capacity) }));
+            syncEventTickets(db, merged.id, req.body.attendees);
+        }
+        next();
+    };
+
+    // POST /events and PATCH/PUT /events/:id - Handled by json-server once the seats have been synced
+    server.post("/events", syncSeats);
+    server.patch("/events/:id", syncSeats);
+    server.put("/events/:id", syncSeats);
+}
@@ -0,0 +1,47 @@
+/**
+ * @file Full-text search of events.
+ * json-server's own `q` parameter searches every field of a record, so a short query would match
+ * the timezone, the dates or the base64 text of a cover image. This route narrows it to what people
+ * actually search for: the title, description, location, tags and category name.
+ */
+
+/**
+ * Builds the text an event is searched in.
+ * @param {object} event - The event.
+ * @param {Map<string, string>} categoryNames - The name of each category, by ID.
+ * @returns {string} The searchable text, in lower case.
+ */
+function searchableText(event, categoryNames) {
+    return [
+        event.title,
+        event.description,
+        event.location,
+        ...(event.tags || []),
+        categoryNames.get(String(event.category)),
+    ].filter(Boolean).join("\n").toLowerCase();
+}
+
+/**
+ * Registers the event search on the server. It must be registered before the generated router,
+ * which then applies the other filters, the sorting and the pagination to the matching events.
+ * @param {import("express").Application} server - The json-server application.
+ * @param {object} db - The lowdb instance exposed by the json-server router.
+ */
+export function searchRoutes(server, db) {
+    // GET /events?q=... - Replace the query with the IDs of the matching events
+    server.get("/events", (req, res, next) => {
+        const query = [].concat(req.query.q ?? [])[0];
+        if (!query) return next();
+
+        const text = String(query).trim().toLowerCase();
+        const categoryNames = new Map(db.get("categories").value().map(category => [String(category.id), category.name]));
+        const ids = db.get("events").value()
+            .filter(event => searchableText(event, categoryNames).includes(text))
+            .map(event => String(event.id));
+
+        delete req.query.q;
+        // Repeated `id` parameters match any of them; with no matches, an ID no event has leaves the list empty
+        req.query.id = ids.length > 0 ? ids : "none";
+        next();
+    });
+}
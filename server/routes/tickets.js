@@ -0,0 +1,88 @@
+/**
+ * @file Custom routes for tickets: reading one's own tickets and checking attendees in at the door.
+ * A check-in marks the ticket with the scanned code as used. Like the registration routes,
+ * each handler reads and writes synchronously, so the same ticket can't be let in twice
+ * even if two staff members scan it at the same time.
+ */
+
+import { requirePermission } from "../middlewares/authorization.js";
+import { can, Action } from "../../src/permissions.js";
+
+/**
+ * Counts the tickets of an event that were checked in.
+ * @param {object} db - The lowdb instance exposed by the json-server router.
+ * @param {object} event - The event object.
+ * @returns {{checkedIn: number, registered: number}} The checked-in and registered counts.
+ */
+function checkInStats(db, event) {
+    const checkedIn = db.get("tickets")
+        .filter(ticket => String(ticket.eventId) === String(event.id) && ticket.checkedInAt)
+        .size()
+        .value();
+    return { checkedIn, registered: event.attendees.length };
+}
+
+/**
+ * Registers the check-in routes on the server.
+ * @param {import("express").Application} server - The json-server application.
+ * @param {object} db - The lowdb instance exposed by the json-server router.
+ */
+export function ticketRoutes(server, db) {
+    // Administrators check attendees in at any event, organizers at their own
+    const manageAttendees = requirePermission(Action.MANAGE_ATTENDEES, req => db.get("events").getById(req.params.id).value());
+    /** Returns the attendee a ticket belongs to, without credentials. */
+    const findAttendee = (ticket) => {
+        const user = db.get("users").getById(ticket.userId).value();
+        return { id: ticket.userId, email: user ? user.email : null };
+    };
+
+    // GET /users/:id/tickets - A user's tickets (the access rules only let them read their own)
+    server.get("/users/:id/tickets", (req, res) => {
+        const tickets = db.get("tickets").filter(ticket => String(ticket.userId) === req.params.id).value();
+        res.jsonp(tickets);
+    });
+
+    // GET /events/:id/check-ins - How many attendees are in, polled by the check-in screen
+    server.get("/events/:id/check-ins", manageAttendees, (req, res) => {
+        const event = db.get("events").getById(req.params.id).value();
+        if (!event) return res.status(404).jsonp({ error: "Event not found." });
+        res.jsonp(checkInStats(db, event));
+    });
+
+    // POST /events/:id/check-ins - Check an attendee in with their ticket code
+    server.post("/events/:id/check-ins", manageAttendees, (req, res) => {
+        const event = db.get("events").getById(req.params.id).value();
+        if (!event) return res.status(404).jsonp({ error: "Event not found." });
+
+        const code = String(req.body.code || "").trim();
+        if (!code) return res.status(400).jsonp({ error: "A ticket code is required." });
+
+        const ticket = db.get("tickets").find({ code }).value();
+        if (!ticket) {
+            return res.status(404).jsonp({ error: "Invalid ticket: no registration has this code.", stats: checkInStats(db, event) });
+        }
+        if (String(ticket.eventId) !== String(event.id)) {
+            // Which event and whose ticket it is are only told to those who manage that event too
+            const otherEvent = db.get("events").getById(ticket.eventId).value();
+            if (!otherEvent || !can(req.user, Action.MANAGE_ATTENDEES, otherEvent)) {
+                return res.status(409).jsonp({ error: "This ticket is for another event.", stats: checkInStats(db, event) });
+            }
+            return res.status(409).jsonp({
+                error: `This ticket is for another event: ${otherEvent.title}.`,
+                attendee: findAttendee(ticket),
+                stats: checkInStats(db, event),
+            });
+        }
+        if (ticket.checkedInAt) {
+            return res.status(409).jsonp({
+                error: "This ticket has already been checked in.",
+                ticket,
+                attendee: findAttendee(ticket),
+                stats: checkInStats(db, event),
+            });
+        }
+
+        const updatedTicket = db.get("tickets").getById(ticket.id).assign({ checkedInAt: new Date().toISOString() }).write();
+        res.jsonp({ ticket: updatedTicket, attendee: findAttendee(ticket), stats: checkInStats(db, event) });
+    });
+}
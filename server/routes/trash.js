@@ -0,0 +1,66 @@
+/**
+ * @file Custom routes for deleting events without losing them.
+ * Deleting an event moves it, with its attendees, waitlist and tickets, to the `trash` collection,
+ * where it no longer shows up anywhere else in the API. From there an administrator can restore it
+ * as it was, or purge it for good. All these routes are reserved to administrators by the access rules.
+ */
+
+/**
+ * Returns the next free event ID. Deleted events keep their ID so they can be restored,
+ * so the IDs in the trash are taken into account too.
+ * @param {object} db - The lowdb instance exposed by the json-server router.
+ * @returns {number} The ID.
+ */
+function nextEventId(db) {
+    const ids = [...db.get("events").value(), ...db.get("trash").value()]
+        .map(event => Number(event.id))
+        .filter(Number.isInteger);
+    return Math.max(0, ...ids) + 1;
+}
+
+/**
+ * Registers the trash routes on the server.
+ * @param {import("express").Application} server - The json-server application.
+ * @param {object} db - The lowdb instance exposed by the json-server router.
+ */
+export function trashRoutes(server, db) {
+    if (!db.has("trash").value()) db.set("trash", []).write();
+
+    // POST /events - json-server would reuse the ID of a deleted event, which then couldn't be restored
+    server.post("/events", (req, res, next) => {
+        req.body.id = nextEventId(db);
+        next();
+    });
+
+    // DELETE /events/:id - Move an event to the trash
+    server.delete("/events/:id", (req, res) => {
+        const event = db.get("events").getById(req.params.id).value();
+        if (!event) return res.status(404).jsonp({ error: "Event not found." });
+
+        const deletedEvent = { ...event, deletedAt: new Date().toISOString(), deletedBy: req.user.id };
+        db.get("events").remove({ id: event.id }).write();
+        db.get("trash").push(deletedEvent).write();
+        res.jsonp(deletedEvent);
+    });
+
+    // POST /trash/:id/restore - Put a deleted event back, with its registrations and tickets
+    server.post("/trash/:id/restore", (req, res) => {
+        const deletedEvent = db.get("trash").getById(req.params.id).value();
+        if (!deletedEvent) return res.status(404).jsonp({ error: "This event is not in the trash." });
+
+        const { deletedAt, deletedBy, ...event } = deletedEvent;
+        db.get("trash").remove({ id: deletedEvent.id }).write();
+        db.get("events").push(event).write();
+        res.jsonp(event);
+    });
+
+    // DELETE /trash/:id - Permanently delete an event and revoke its tickets
+    server.delete("/trash/:id", (req, res) => {
+        const deletedEvent = db.get("trash").getById(req.params.id).value();
+        if (!deletedEvent) return res.status(404).jsonp({ error: "This event is not in the trash." });
+
+        db.get("trash").remove({ id: deletedEvent.id }).write();
+        db.get("tickets").remove(ticket => String(ticket.eventId) === String(deletedEvent.id)).write();
+        res.jsonp({});
+    });
+}
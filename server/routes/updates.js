@@ -0,0 +1,108 @@
+/**
+ * @file Live updates of events, pushed to the clients with Server-Sent Events.
+ * Clients keep `GET /updates` open, and every successful write that changes an event
+ * (through the REST API, the registration routes or the trash) is sent to all of them
+ * as an `event-created`, `event-updated` or `event-deleted` message whose data is
+ * `{ id, event }` (the event is omitted for deletions).
+ * Routes that change several events at once, such as deleting a user or a category,
+ * list their IDs in `res.locals.changedEventIds`, and each of them is sent as updated.
+ * Events are public, so the stream needs no session, which EventSource couldn't send anyway.
+ */
+
+/**
+ * How often a comment is sent to keep idle connections open through proxies, in milliseconds.
+ * @type {number}
+ */
+const HEARTBEAT_INTERVAL = 25000;
+
+/**
+ * The writes that change an event, and where to find its ID.
+ * `POST /events` carries the ID in the body (see routes/trash.js, which assigns it).
+ * @type {Array<{method: string, pattern: RegExp, creates?: boolean}>}
+ */
+const EVENT_WRITES = [
+    { method: "POST", pattern: /^\/events\/?$/, creates: true },
+    { method: "PUT", pattern: /^\/events\/(\d+)$/ },
+    { method: "PATCH", pattern: /^\/events\/(\d+)$/ },
+    { method: "DELETE", pattern: /^\/events\/(\d+)$/ },
+    { method: "POST", pattern: /^\/events\/(\d+)\/(registrations|waitlist)$/ },
+    { method: "DELETE", pattern: /^\/events\/(\d+)\/(registrations|waitlist)\/[^/]+$/ },
+    { method: "PATCH", pattern: /^\/events\/(\d+)\/waitlist\/[^/]+$/ },
+    // A restored event shows up again, like a new one
+    { method: "POST", pattern: /^\/trash\/(\d+)\/restore$/, creates: true },
+];
+
+/**
+ * Finds the event a request writes to.
+ * @param {import("express").Request} req
+ * @returns {{eventId: string, creates: boolean}|null} The event's ID and whether the request makes it appear,
+ * or `null` if the request doesn't change an event.
+ */
+function findEventWrite(req) {
+    for (const { method, pattern, creates = false } of EVENT_WRITES) {
+        const match = req.method === method && req.path.match(pattern);
+        if (!match) continue;
+        const eventId = match[1] ?? req.body?.id;
+        return eventId === undefined ? null : { eventId: String(eventId), creates };
+    }
+    return null;
+}
+
+/**
+ * Registers the live updates stream, and the middleware that feeds it.
+ * It must be registered before the other custom routes, so it sees the writes they answer.
+ * @param {import("express").Application} server - The json-server application.
+ * @param {object} db - The lowdb instance exposed by the json-server router.
+ */
+export function updateRoutes(server, db) {
+    /** The responses of the connected clients. */
+    const clients = new Set();
+
+    /** Sends a message to every connected client. */
+    const publish = (type, data) => {
+        const message = `event: ${type}\ndata: ${JSON.stringify(data)}\n\n`;
+        clients.forEach(client => client.write(message));
+    };
+
+    // Once a write that changed an event has been answered, tell everyone what the event looks like now.
+    // Requests are matched at that point, since the ID of a new event is only assigned further down the chain.
+    server.use((req, res, next) => {
+        res.on("finish", () => {
+            if (res.statusCode >= 400) return;
+            // Deleted events stay hidden, whatever happens to them in the trash
+            (res.locals.changedEventIds || []).forEach(eventId => {
+                const event = db.get("events").getById(eventId).value();
+                if (event) publish("event-updated", { id: event.id, event });
+            });
+            const write = findEventWrite(req);
+            if (!write) return;
+            const { eventId, creates } = write;
+            const event = db.get("events").getById(eventId).value();
+            if (event) {
+                publish(creates ? "event-created" : "event-updated", { id: event.id, event });
+            } else if (db.get("trash").getById(eventId).value()) {
+                publish("event-deleted", { id: Number(eventId) });
+            }
+        });
+        next();
+    });
+
+    // GET /updates - The stream of event changes
+    server.get("/updates", (req, res) => {
+        res.set({
+            "Content-Type": "text/event-stream",
+            // no-transform keeps json-server's compression from buffering the stream
+            "Cache-Control": "no-cache, no-transform",
+            Connection: "keep-alive",
+        });
+        res.flushHeaders();
+        res.write("retry: 5000\n\n");
+
+        clients.add(res);
+        const heartbeat = setInterval(() => res.write(": heartbeat\n\n"), HEARTBEAT_INTERVAL);
+        req.on("close", () => {
+            clearInterval(heartbeat);
+            clients.delete(res);
+        });
+    });
+}
@@ -0,0 +1,99 @@
+/**
+ * @file Custom routes for managing user accounts, reserved to administrators by the access rules.
+ * Email, role, password and disabled changes go through the generated REST API once checked here, so the app always keeps
+ * an administrator who can log in, no two accounts share an email, and new passwords are stored as hashes. Creating an account works like
+ * registering, and deleting one is handled entirely here, since their seats, waitlist places and tickets
+ * have to go with them; json-server would leave them behind. The events that change are sent as live updates.
+ */
+
+import { promoteFromWaitlist } from "./registrations.js";
+import { createUser, findUserByEmail, normalizeEmail, toPublicUser } from "./auth.js";
+import { syncEventTickets } from "../utils/tickets.js";
+import { hashPassword } from "../utils/passwords.js";
+import { Role } from "../../src/permissions.js";
+
+/**
+ * Checks whether a user is an administrator whose account is enabled.
+ * @param {object} user - The user.
+ * @returns {boolean} True if the user can log in as an administrator.
+ */
+function isActiveAdministrator(user) {
+    return user.role === Role.ADMINISTRATOR && !user.disabled;
+}
+
+/**
+ * Registers the user management routes on the server.
+ * @param {import("express").Application} server - The json-server application.
+ * @param {object} db - The lowdb instance exposed by the json-server router.
+ */
+export function userRoutes(server, db) {
+    /** Checks whether a user is the only active administrator left. */
+    const isLastAdministrator = (user) => isActiveAdministrator(user)
+        && db.get("users").filter(isActiveAdministrator).size().value() === 1;
+    const lastAdministrator = (res) => res.status(409).jsonp({ error: "There must always be at least one active administrator." });
+    // Emails identify accounts at login, so an account can't take another's
+    const emailTaken = (res) => res.status(409).jsonp({ error: "A user with this email already exists." });
+
+    // POST /users - Create an account, with its password hashed like at registration
+    server.post("/users", (req, res) => {
+        const { email, password, role = Role.VISITOR } = req.body;
+        if (findUserByEmail(db, email)) return emailTaken(res);
+        res.status(201).jsonp(toPublicUser(createUser(db, { email, password, role })));
+    });
+
+    // PATCH /users/:id - Handled by json-server, unless it would leave no active administrator
+    const keepAnAdministrator = (req, res, next) => {
+        const user = db.get("users").getById(req.params.id).value();
+        if (!user) return next(); // The router answers with a 404
+
+        if (isLastAdministrator(user) && !isActiveAdministrator({ ...user, ...req.body })) return lastAdministrator(res);
+        next();
+    };
+    // A new email is stored like at registration, unless another account has it
+    const checkNewEmail = (req, res, next) => {
+        const user = db.get("users").getById(req.params.id).value();
+        if (!user || req.body.email === undefined) return next();
+
+        const owner = findUserByEmail(db, req.body.email);
+        if (owner && owner.id !== user.id) return emailTaken(res);
+        req.body.email = normalizeEmail(req.body.email);
+        next();
+    };
+    // A new password is stored as a hash, never as sent
+    const hashNewPassword = (req, res, next) => {
+        if (req.body.password !== undefined) {
+            req.body.passwordHash = hashPassword(req.body.password);
+            delete req.body.password;
+        }
+        next();
+    };
+    server.patch("/users/:id", keepAnAdministrator, checkNewEmail, hashNewPassword);
+
+    // DELETE /users/:id - Delete an account, giving its seats to the waitlists
+    server.delete("/users/:id", (req, res) => {
+        const user = db.get("users").getById(req.params.id).value();
+        if (!user) return res.status(404).jsonp({ error: "User not found." });
+        if (isLastAdministrator(user)) return lastAdministrator(res);
+
+        const isUser = id => String(id) === String(user.id);
+        res.locals.changedEventIds = [];
+        // Events in the trash are cleaned up too, so they don't come back with the user when restored
+        ["events", "trash"].forEach(collection => {
+            db.get(collection)
+                .filter(event => event.attendees.some(isUser) || (event.waitlist || []).some(isUser))
+                .value()
+                .forEach(event => {
+                    const updatedEvent = db.get(collection).getById(event.id).assign(promoteFromWaitlist({
+                        ...event,
+                        attendees: event.attendees.filter(id => !isUser(id)),
+                        waitlist: (event.waitlist || []).filter(id => !isUser(id)),
+                    })).write();
+                    syncEventTickets(db, event.id, updatedEvent.attendees);
+                    res.locals.changedEventIds.push(event.id);
+                });
+        });
+        db.get("tickets").remove(ticket => isUser(ticket.userId)).write();
+        db.get("users").remove(account => isUser(account.id)).write();
+        res.jsonp({});
+    });
+}
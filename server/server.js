@@ -0,0 +1,87 @@
+/**
+ * @file Entry point for the mock backend.
+ * It runs json-server as a module instead of through its CLI so that custom routes
+ * can be mounted in front of the generated REST API. Those routes implement the
+ * operations that must be validated and applied on the server in a single step,
+ * such as reserving a seat in an event.
+ */
+
+import jsonServer from "json-server";
+import { authenticate, accessRules } from "./middlewares/authorization.js";
+import { validationRules } from "./middlewares/validation.js";
+import { authRoutes, toPublicUser } from "./routes/auth.js";
+import { userRoutes } from "./routes/users.js";
+import { registrationRoutes, syncSeatsLeft } from "./routes/registrations.js";
+import { calendarRoutes } from "./routes/calendars.js";
+import { ticketRoutes } from "./routes/tickets.js";
+import { trashRoutes } from "./routes/trash.js";
+import { updateRoutes } from "./routes/updates.js";
+import { categoryRoutes } from "./routes/categories.js";
+import { searchRoutes } from "./routes/search.js";
+import { syncTickets } from "./utils/tickets.js";
+
+/**
+ * The port the API listens on.
+ * @type {number}
+ */
+const PORT = Number(process.env.PORT) || 3000;
+
+/**
+ * The JSON file used as the database. It can be overridden to run against a scratch copy.
+ * @type {string}
+ */
+const DB_FILE = process.env.DB_FILE || "db.json";
+
+const server = jsonServer.create();
+const router = jsonServer.router(DB_FILE);
+
+// Derived data may be stale if the database file was edited by hand
+syncSeatsLeft(router.db);
+syncTickets(router.db);
+
+// Default json-server middlewares: logger, CORS, static files and no-cache headers
+server.use(jsonServer.defaults());
+server.use(jsonServer.bodyParser);
+server.use(authenticate(router.db));
+
+// The live updates watch every write, so they go before any route that could answer it
+updateRoutes(server, router.db);
+
+// Custom routes must be registered before the generated router so they take precedence.
+// The access rules go first so they also protect the custom routes below,
+// followed by the validation of the data being written.
+accessRules(server, router.db);
+validationRules(server, router.db);
+authRoutes(server, router.db);
+userRoutes(server, router.db);
+// The trash assigns the IDs of new events, which the registration routes need to issue their tickets
+trashRoutes(server, router.db);
+registrationRoutes(server, router.db);
+calendarRoutes(server, router.db);
+ticketRoutes(server, router.db);
+categoryRoutes(server, router.db);
+searchRoutes(server, router.db);
+
+/**
+ * Removes password hashes from a response, including users embedded with `_expand` or `_embed`.
+ * @param {*} data - The response data.
+ * @returns {*} A copy of the data without credentials.
+ */
+function stripCredentials(data) {
+    if (Array.isArray(data)) return data.map(stripCredentials);
+    if (data && typeof data === "object") {
+        return Object.fromEntries(Object.entries(toPublicUser(data)).map(([key, value]) => [key, stripCredentials(value)]));
+    }
+    return data;
+}
+
+// Password hashes must never leave the server, so they are stripped from every response
+router.render = (req, res) => {
+    res.jsonp(stripCredentials(res.locals.data));
+};
+
+server.use(router);
+
+server.listen(PORT, () => {
+    console.log(`Events API is running on http://localhost:${PORT} (database: ${DB_FILE})`);
+});
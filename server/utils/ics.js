@@ -0,0 +1,104 @@
+/**
+ * @file Serializes events as iCalendar (RFC 5545) documents.
+ * Times are written in UTC, which every calendar app understands and converts
+ * to the reader's own timezone; the event's timezone is kept for reference.
+ */
+
+/**
+ * The product identifier written in every calendar.
+ * @type {string}
+ */
+const PRODUCT_ID = "-//Event Management//Events API//EN";
+
+/**
+ * Formats an ISO instant as an iCalendar UTC date-time, e.g. `20250120T010000Z`.
+ * @param {string|Date} value - The instant to format.
+ * @returns {string} The formatted date-time.
+ */
+function formatDateTime(value) {
+    return new Date(value).toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+}
+
+/**
+ * Escapes a value for use in a TEXT property (RFC 5545, section 3.3.11).
+ * @param {*} value - The raw value.
+ * @returns {string} The escaped text.
+ */
+function escapeText(value) {
+    return String(value ?? "")
+        .replace(/\\/g, "\\\\")
+        .replace(/;/g, "\\;")
+        .replace(/,/g, "\\,")
+        .replace(/\r?\n/g, "\\n");
+}
+
+/**
+ * Folds a content line so no line is longer than 75 octets (RFC 5545, section 3.1).
+ * Continuation lines start with a single space. Multi-byte characters are never split.
+ * @param {string} line - The unfolded content line.
+ * @returns {string} The folded line, using CRLF line breaks.
+ */
+function foldLine(line) {
+    const parts = [];
+    let current = "";
+    let currentBytes = 0;
+    for (const char of line) {
+        const charBytes = Buffer.byteLength(char);
+        // Continuation lines lose one octet to the leading space
+        const limit = parts.length === 0 ? 75 : 74;
+        if (currentBytes + charBytes > limit) {
+            parts.push(current);
+            current = "";
+            currentBytes = 0;
+        }
+        current += char;
+        currentBytes += charBytes;
+    }
+    parts.push(current);
+    return parts.join("\r\n ");
+}
+
+/**
+ * Builds the VEVENT component of a single event.
+ * @param {object} event - The event object from the database.
+ * @param {string} domain - The domain used to make the UID globally unique.
+ * @param {string} stamp - The DTSTAMP value shared by the whole calendar.
+ * @returns {string[]} The content lines of the component.
+ */
+function buildEventComponent(event, domain, stamp) {
+    return [
+        "BEGIN:VEVENT",
+        `UID:event-${event.id}@${domain}`,
+        `DTSTAMP:${stamp}`,
+        `DTSTART:${formatDateTime(event.start)}`,
+        `DTEND:${formatDateTime(event.end)}`,
+        `SUMMARY:${escapeText(event.title)}`,
+        `DESCRIPTION:${escapeText(event.description)}`,
+        `LOCATION:${escapeText(event.location)}`,
+        `X-EVENT-TIMEZONE:${escapeText(event.timezone)}`,
+        "END:VEVENT",
+    ];
+}
+
+/**
+ * Builds an iCalendar document containing the given events.
+ * @param {object[]} events - The events to include.
+ * @param {object} options
+ * @param {string} options.name - The calendar name shown by calendar apps.
+ * @param {string} options.domain - The domain used to build each event's UID, e.g. the API host.
+ * @returns {string} The calendar, ready to be served as `text/calendar`.
+ */
+export function buildCalendar(events, { name, domain }) {
+    const stamp = formatDateTime(new Date());
+    const lines = [
+        "BEGIN:VCALENDAR",
+        "VERSION:2.0",
+        `PRODID:${PRODUCT_ID}`,
+        "CALSCALE:GREGORIAN",
+        "METHOD:PUBLISH",
+        `X-WR-CALNAME:${escapeText(name)}`,
+        ...events.flatMap(event => buildEventComponent(event, domain, stamp)),
+        "END:VCALENDAR",
+    ];
+    return lines.map(foldLine).join("\r\n") + "\r\n";
+}
@@ -0,0 +1,40 @@
+/**
+ * @file Password hashing helpers for the mock backend.
+ * Passwords are stored as salted scrypt hashes in the form `salt:hash` (both hex encoded),
+ * so the raw password never reaches `db.json`.
+ */
+
+import { randomBytes, scryptSync, timingSafeEqual } from "node:crypto";
+
+/**
+ * The length in bytes of the derived key.
+ * @type {number}
+ */
+const KEY_LENGTH = 64;
+
+/**
+ * Hashes a password with a new random salt.
+ * @param {string} password - The raw password.
+ * @returns {string} The salted hash, formatted as `salt:hash`.
+ */
+export function hashPassword(password) {
+    const salt = randomBytes(16).toString("hex");
+    const hash = scryptSync(password, salt, KEY_LENGTH).toString("hex");
+    return `${salt}:${hash}`;
+}
+
+/**
+ * Checks a password against a stored salted hash.
+ * The comparison runs in constant time to avoid leaking information through timing.
+ * @param {string} password - The raw password to check. Anything but a string never matches.
+ * @param {string} storedHash - The stored hash, formatted as `salt:hash`.
+ * @returns {boolean} True if the password matches.
+ */
+export function verifyPassword(password, storedHash) {
+    if (typeof password !== "string" || typeof storedHash !== "string" || !storedHash.includes(":")) return false;
+
+    const [salt, hash] = storedHash.split(":");
+    const expected = Buffer.from(hash, "hex");
+    const actual = scryptSync(password, salt, KEY_LENGTH);
+    return expected.length === actual.length && timingSafeEqual(expected, actual);
+}
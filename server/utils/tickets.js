@@ -0,0 +1,62 @@
+/**
+ * @file Tickets issued for event registrations.
+ * Every attendee of an event holds exactly one ticket `{ id, code, eventId, userId, issuedAt, checkedInAt }`
+ * in the `tickets` collection. The code is random and unique, and is what the QR code encodes.
+ * `issuedAt` is when the attendee registered; tickets issued before it was recorded don't have it.
+ * Tickets are issued and revoked by the server whenever an event's attendees change,
+ * so clients never create them directly.
+ */
+
+import { randomBytes } from "node:crypto";
+
+/**
+ * Generates a ticket code that no other ticket uses.
+ * @param {object} db - The lowdb instance exposed by the json-server router.
+ * @returns {string} A 12-character URL-safe code.
+ */
+function generateCode(db) {
+    let code;
+    do {
+        code = randomBytes(9).toString("base64url");
+    } while (db.get("tickets").find({ code }).value());
+    return code;
+}
+
+/**
+ * Makes an event's tickets match its attendees: attendees without a ticket get one,
+ * and the tickets of users who are no longer attending are revoked.
+ * Existing tickets, and their check-ins, are kept.
+ * @param {object} db - The lowdb instance exposed by the json-server router.
+ * @param {number|string} eventId - The ID of the event.
+ * @param {Array<number|string>} attendees - The event's attendees after the change.
+ */
+export function syncEventTickets(db, eventId, attendees) {
+    const tickets = db.get("tickets");
+    const isEventTicket = ticket => String(ticket.eventId) === String(eventId);
+    const attendeeIds = new Set(attendees.map(String));
+
+    tickets.remove(ticket => isEventTicket(ticket) && !attendeeIds.has(String(ticket.userId))).write();
+
+    const ticketHolders = new Set(tickets.filter(isEventTicket).map(ticket => String(ticket.userId)).value());
+    attendees
+        .filter(userId => !ticketHolders.has(String(userId)))
+        .forEach(userId => {
+            tickets.insert({ code: generateCode(db), eventId: Number(eventId), userId, issuedAt: new Date().toISOString(), checkedInAt: null }).write();
+        });
+}
+
+/**
+ * Issues the missing tickets of every event, e.g. for registrations made before tickets existed,
+ * and removes the tickets of events that no longer exist. Events in the trash keep theirs, in case they are restored.
+ * Meant to be called once when the server starts.
+ * @param {object} db - The lowdb instance exposed by the json-server router.
+ */
+export function syncTickets(db) {
+    if (!db.has("tickets").value()) db.set("tickets", []).write();
+
+    const events = db.get("events").value();
+    const deletedEvents = db.get("trash").value() || [];
+    const eventIds = new Set([...events, ...deletedEvents].map(event => String(event.id)));
+    db.get("tickets").remove(ticket => !eventIds.has(String(ticket.eventId))).write();
+    events.forEach(event => syncEventTickets(db, event.id, event.attendees));
+}
@@ -0,0 +1,88 @@
+/**
+ * @file Signed session tokens for the mock backend.
+ * A token is `<payload>.<signature>`, where the payload is the base64url-encoded JSON
+ * `{ sub, email, role, exp }` and the signature is an HMAC-SHA256 of the payload.
+ * The frontend can read the payload, but only the server can produce a valid signature.
+ */
+
+import { createHmac, timingSafeEqual } from "node:crypto";
+
+/**
+ * The secret used to sign tokens. Override it with the AUTH_SECRET environment variable.
+ * @type {string}
+ */
+const SECRET = process.env.AUTH_SECRET || "dev-only-secret-change-me";
+
+/**
+ * How long a session token stays valid, in milliseconds (8 hours).
+ * @type {number}
+ */
+export const TOKEN_TTL_MS = 8 * 60 * 60 * 1000;
+
+/**
+ * Computes the base64url HMAC signature of an encoded payload.
+ * @param {string} encodedPayload - The base64url-encoded payload.
+ * @returns {string} The base64url-encoded signature.
+ */
+function sign(encodedPayload) {
+    return createHmac("sha256", SECRET).update(encodedPayload).digest("base64url");
+}
+
+/**
+ * Creates a signed session token for a user.
+ * @param {object} user - The user object from the database.
+ * @returns {{token: string, expiresAt: number}} The token and its expiry as a Unix timestamp in milliseconds.
+ */
+export function createToken(user) {
+    const expiresAt = Date.now() + TOKEN_TTL_MS;
+    const payload = { sub: user.id, email: user.email, role: user.role, exp: expiresAt };
+    const encodedPayload = Buffer.from(JSON.stringify(payload)).toString("base64url");
+    return { token: `${encodedPayload}.${sign(encodedPayload)}`, expiresAt };
+}
+
+/**
+ * Verifies a token's signature and expiry.
+ * @param {string} token - The token to verify.
+ * @returns {object|null} The decoded payload if the token is valid, or `null` otherwise.
+ */
+export function verifyToken(token) {
+    if (typeof token !== "string" || !token.includes(".")) return null;
+
+    const [encodedPayload, signature] = token.split(".");
+    const expected = Buffer.from(sign(encodedPayload));
+    const actual = Buffer.from(signature);
+    if (expected.length !== actual.length || !timingSafeEqual(expected, actual)) return null;
+
+    try {
+        const payload = JSON.parse(Buffer.from(encodedPayload, "base64url").toString());
+        return payload.exp > Date.now() ? payload : null;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Creates the token that authorizes reading a user's calendar feed.
+ * Calendar apps subscribe to a plain URL and can't send an `Authorization` header,
+ * so the token travels in the query string. It only grants access to that feed
+ * and never expires, so existing subscriptions keep working.
+ * @param {number|string} userId - The ID of the feed's owner.
+ * @returns {string} The base64url-encoded feed token.
+ */
+export function createFeedToken(userId) {
+    return sign(`calendar-feed:${userId}`);
+}
+
+/**
+ * Checks a calendar feed token against the user it claims to belong to.
+ * @param {number|string} userId - The ID of the feed's owner.
+ * @param {string} token - The token received in the feed URL.
+ * @returns {boolean} `true` if the token was issued for this user.
+ */
+export function verifyFeedToken(userId, token) {
+    if (typeof token !== "string") return false;
+
+    const expected = Buffer.from(createFeedToken(userId));
+    const actual = Buffer.from(token);
+    return expected.length === actual.length && timingSafeEqual(expected, actual);
+}
@@ -1,56 +1,140 @@
-
 /**
  * @file This module acts as a session management service.
  * It provides a simple API to handle user authentication state
  * by interacting with the browser's localStorage.
- * It abstracts away the direct manipulation of localStorage.
+ * It abstracts away the direct manipulation of localStorage, and provides
+ * a fetch wrapper that sends the session token to the API.
  */
 
 /**
- * The key used to store user information in localStorage.
+ * The key used to store the session in localStorage.
  * Using a constant prevents typos and makes it easy to change if needed.
  * @type {string}
  */
-const USER_INFO_KEY = "loggedInUser"; 
+const SESSION_KEY = "session"; 
 
 /**
- * Saves user information to localStorage.
- * The password is deliberately omitted for security best practices.
- * We should never store sensitive information like passwords in localStorage.
- * @param {object} user - The full user object received from the API.
+ * The name of the window event dispatched when the API reports that the session is no longer valid.
+ * @type {string}
  */
-export function saveUserInfo(user) {
-    // Create a new object with only the necessary, non-sensitive user data.
-    const userToStore = {
-        id: user.id,
-        email: user.email,
-        role: user.role
+export const SESSION_EXPIRED_EVENT = "session-expired";
+
+/**
+ * Error thrown when the API rejects a request because of the session (401) or the user's role (403).
+ * Its message is meant to be shown to the user.
+ */
+export class AuthorizationError extends Error {
+    /**
+     * Creates an instance of an AuthorizationError.
+     * @param {number} status - The HTTP status code returned by the API (401 or 403).
+     * @param {string} message - A user-facing description of the problem.
+     */
+    constructor(status, message) {
+        super(message);
+        this.name = "AuthorizationError";
+        this.status = status;
+    }
+}
+
+/**
+ * Saves the session returned by the login endpoint to localStorage.
+ * Only the signed token and its expiry are stored: the user's id, email and role
+ * are read back from the token itself, and the server verifies its signature on every request.
+ * @param {{token: string, expiresAt: number}} session - The session received from the API.
+ */
+export function saveUserInfo(session) {
+    const sessionToStore = {
+        token: session.token,
+        expiresAt: session.expiresAt
     };
-    localStorage.setItem(USER_INFO_KEY, JSON.stringify(userToStore));
+    localStorage.setItem(SESSION_KEY, JSON.stringify(sessionToStore));
 }
 
 /**
- * Logs the user out by removing their information from localStorage.
+ * Logs the user out by removing their session from localStorage.
  */
 export function logOut() {
-    localStorage.removeItem(USER_INFO_KEY);
+    localStorage.removeItem(SESSION_KEY);
+}
+
+/**
+ * Reads the stored session, discarding it if it has expired.
+ * @returns {{token: string, expiresAt: number}|null} The session, or null if there is no valid session.
+ */
+function getSession() {
+    const sessionJson = localStorage.getItem(SESSION_KEY);
+    if (!sessionJson) return null;
+
+    const session = JSON.parse(sessionJson);
+    if (!session.token || session.expiresAt <= Date.now()) {
+        logOut(); // Clean up the expired session
+        return null;
+    }
+    return session;
 }
 
 /**
  * Checks if a user is currently authenticated.
- * @returns {boolean} True if user information exists in localStorage, false otherwise.
+ * @returns {boolean} True if a non-expired session exists in localStorage, false otherwise.
  */
 export function isAuthenticated() {
-    // A user is considered authenticated if the user info key exists.
-    return localStorage.getItem(USER_INFO_KEY) !== null;
+    return getSession() !== null;
 }
 
 /**
- * Retrieves the currently logged-in user's information.
+ * Retrieves the session token to send to the API.
+ * @returns {string|null} The token, or null if not logged in.
+ */
+export function getAuthToken() {
+    const session = getSession();
+    return session ? session.token : null;
+}
+
+/**
+ * Retrieves the currently logged-in user's information from the token payload.
  * @returns {object|null} The user object (id, email, role) if logged in, or null if not.
  */
 export function getCurrentUser() {
-    const userJson = localStorage.getItem(USER_INFO_KEY);
-    // Parse the JSON string back into an object. Return null if no user data is found.
-    return userJson ? JSON.parse(userJson) : null; 
-}
\ No newline at end of file
+    const token = getAuthToken();
+    if (!token) return null;
+
+    try {
+        // The payload is the base64url-encoded JSON before the dot
+        const encodedPayload = token.split(".")[0].replace(/-/g, "+").replace(/_/g, "/");
+        const payload = JSON.parse(atob(encodedPayload));
+        return { id: payload.sub, email: payload.email, role: payload.role };
+    } catch (error) {
+        console.error("Invalid session token: ", error);
+        logOut();
+        return null;
+    }
+}
+
+/**
+ * Sends a request to the API with the session token in the `Authorization` header.
+ * A 401 response means the session is missing, expired or forged: the user is logged out
+ * and `SESSION_EXPIRED_EVENT` is dispatched so the app can redirect to the login page.
+ * A 403 response means the user's role does not allow the action; the API's reason is kept when it gives one.
+ * Both cases throw an `AuthorizationError`; any other response is returned as is.
+ * @param {string} url - The URL to request.
+ * @param {object} [options={}] - The same options accepted by `fetch`.
+ * @returns {Promise<Response>} The response, when it is not a 401 or 403.
+ */
+export async function authorizedFetch(url, options = {}) {
+    const token = getAuthToken();
+    const headers = { ...options.headers };
+    if (token) headers.Authorization = `Bearer ${token}`;
+
+    const response = await fetch(url, { ...options, headers });
+
+    if (response.status === 401) {
+        logOut();
+        window.dispatchEvent(new CustomEvent(SESSION_EXPIRED_EVENT));
+        throw new AuthorizationError(401, "Your session has expired. Please log in again.");
+    }
+    if (response.status === 403) {
+        const { error } = await response.json().catch(() => ({}));
+        throw new AuthorizationError(403, error || "You do not have permission to perform this action.");
+    }
+    return response;
+}
@@ -8,85 +8,62 @@
 import User from "../models/user.js";
 // Import the session management functions 
 import { saveUserInfo } from "../auth.js";
-
-/**
- * The base URL for the users API endpoint.
- * @type {string}
- */
-const USERS_API_URL = "http://localhost:3000/users";
+import { ErrorType, success, failure, apiRequest } from "../utils/api.js";
 
 /**
  * Handles the user login process.
- * It sends a request to the API to find a user matching the provided credentials.
- * If successful, it saves the user's session information.
+ * It sends the credentials to the API, which verifies them against the stored password hash.
+ * If successful, it saves the returned session token.
+ * The request is sent without a session on purpose: a 401 here means wrong credentials, not an expired session.
  * @param {string} email - The user's email address.
  * @param {string} password - The user's password.
- * @returns {Promise<boolean>} A promise that resolves to `true` if login is successful, `false` otherwise.
+ * @returns {Promise<import("../utils/api.js").Result>} On success, `data` is the logged-in user.
+ * Wrong credentials fail with `ErrorType.UNAUTHORIZED`.
  */
 export async function handleLogin(email, password) {
-    try {
-        // Query the API for a user with a matching email and password.
-        const response = await fetch(`${USERS_API_URL}?email=${email}&password=${password}`);
-        
-        // Check if the HTTP request itself was successful (e.g., status 200-299)
-        if (!response.ok) throw new Error("Login request failed.");
-
-        const users = await response.json();
+    // Send the credentials in the request body so they never end up in URLs or server logs.
+    const result = await apiRequest("/auth/login", {
+        method: "POST",
+        body: { email, password },
+        auth: false,
+        errorMessage: "The login failed. Please try again.",
+    });
 
-        // A successful login should return exactly one user.
-        if (users.length === 1) {
-            const user = users[0];
-            // On success, use the auth service to store user info in localStorage.
-            saveUserInfo(user);
-            console.log("Login successful for user: ", user);
-            return true;
-        } else {
-            // If 0 or more than 1 user is returned, the credentials are considered invalid.
-            console.log("Login failed: Invalid credentials.");
-            return false;
-        }
-    } catch (error) {
-        console.error("Error during login: ", error);
-        return false; // Ensure false is returned on any kind of error.
+    // A 401 means the credentials didn't match any user.
+    if (!result.ok && result.error.status === 401) {
+        return failure(ErrorType.UNAUTHORIZED, "Invalid email or password.", { status: 401 });
     }
+    if (!result.ok) return result;
+
+    // On success, use the auth service to store the session token in localStorage.
+    saveUserInfo(result.data);
+    return success(result.data.user);
 }
 
 /**
  * Handles the user registration process.
- * It first checks if the email is already taken and then creates a new user
- * with the "student" role.
+ * The API checks that the email is available, hashes the password
+ * and creates the new user with the "visitor" role.
  * @param {string} email - The email for the new account.
  * @param {string} password - The password for the new account.
- * @returns {Promise<object|null>} A promise that resolves to the created user object on success, or `null` on failure.
+ * @returns {Promise<import("../utils/api.js").Result>} On success, `data` is the created user.
+ * A taken email fails with `ErrorType.CONFLICT`, and invalid data with `ErrorType.VALIDATION`.
  */
-export async function handleRegister (email, password) {
-    try {
-        // First, check if a user with this email already exists
-        const checkResponse = await fetch(`${USERS_API_URL}?email=${email}`);
-        const existingUsers = await checkResponse.json();
-        if (existingUsers.length > 0) {
-            alert("A user with this email already exists.");
-            return null; // Registration fails because the email is taken.
-        }
+export async function handleRegister(email, password) {
+    const newUser = new User(email, password); // The User model defaults the role to 'visitor'.
+    const result = await apiRequest("/auth/register", {
+        method: "POST",
+        body: newUser,
+        auth: false,
+        errorMessage: "The account could not be created. Please try again.",
+    });
 
-        // Second, if the email is available, create the new user instance.
-        const newUser = new User(email, password); // The User model defaults the role to 'visitor'.
-    
-        // Send the POST request to create the new user
-        const createResponse = await fetch(USERS_API_URL, {
-            method: "POST",
-            headers: { "Content-Type": "application/json" },
-            body: JSON.stringify(newUser)
+    // A 409 means a user with this email already exists
+    if (!result.ok && result.error.status === 409) {
+        return failure(ErrorType.CONFLICT, "A user with this email already exists.", {
+            status: 409,
+            fieldErrors: { email: "A user with this email already exists." },
         });
-
-        if (!createResponse.ok) throw new Error("Failed to create user.");
-
-        const createdUser = await createResponse.json();
-        console.log("Registration successsful: ", createdUser);
-        return createdUser;
-    
-    } catch (error) {
-        console.error("Error during registration: ", error);
-        return null; // Ensure null is returned on any kind of error.
     }
-}
\ No newline at end of file
+    return result;
+}
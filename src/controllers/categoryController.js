@@ -0,0 +1,68 @@
+/**
+ * @file This controller manages the categories events are grouped in.
+ * Anyone can list them; creating, editing and deleting them requires `Action.MANAGE_CATEGORIES` (see permissions.js).
+ * Every function resolves to a result (see utils/api.js) instead of showing feedback itself.
+ */
+
+import { apiRequest, checkPermission } from "../utils/api.js";
+import { Action } from "../permissions.js";
+import { withOfflineCache } from "../utils/offlineStore.js";
+
+/**
+ * Fetches every category, sorted by name.
+ * @returns {Promise<import("../utils/api.js").Result>} On success, `data` is the list of categories
+ * `{ id, name, color }`. While the API can't be reached, the last list fetched is returned, marked as `stale`.
+ */
+export async function getCategories() {
+    const request = apiRequest("/categories?_sort=name&_order=asc", {
+        errorMessage: "The categories could not be loaded.",
+    });
+    return withOfflineCache(request, { key: "categories" });
+}
+
+/**
+ * Creates a category.
+ * A name that is already taken fails with `ErrorType.VALIDATION` and the error in `fieldErrors.name`.
+ * @param {object} categoryData - The new category, typically an instance of the Category model.
+ * @returns {Promise<import("../utils/api.js").Result>} On success, `data` is the created category.
+ */
+export async function createCategory(categoryData) {
+    const denied = checkPermission(Action.MANAGE_CATEGORIES);
+    if (denied) return denied;
+    return apiRequest("/categories", {
+        method: "POST",
+        body: categoryData,
+        errorMessage: "The category could not be created.",
+    });
+}
+
+/**
+ * Renames a category or changes its color.
+ * @param {number|string} categoryId - The ID of the category.
+ * @param {object} categoryData - The fields to change.
+ * @returns {Promise<import("../utils/api.js").Result>} On success, `data` is the updated category.
+ */
+export async function updateCategory(categoryId, categoryData) {
+    const denied = checkPermission(Action.MANAGE_CATEGORIES);
+    if (denied) return denied;
+    return apiRequest(`/categories/${categoryId}`, {
+        method: "PATCH",
+        body: categoryData,
+        errorMessage: "The category could not be updated.",
+    });
+}
+
+/**
+ * Deletes a category. Its events are kept, without a category.
+ * @param {number|string} categoryId - The ID of the category.
+ * @returns {Promise<import("../utils/api.js").Result>} The result of the deletion.
+ */
+export async function deleteCategory(categoryId) {
+    const denied = checkPermission(Action.MANAGE_CATEGORIES);
+    if (denied) return denied;
+    return apiRequest(`/categories/${categoryId}`, {
+        method: "DELETE",
+        errorMessage: "The category could not be deleted.",
+        readData: () => null,
+    });
+}
@@ -3,159 +3,369 @@
  * @file This controller manages all CRUD operations for events and related data
  * It serves as the intermediary between the frontend logic
  * and the event-related API endpoints.
+ * Actions that need a permission (see permissions.js) fail with `ErrorType.FORBIDDEN` without a request
+ * when the user doesn't have it. Most only get the event's ID, so whether the user owns it is left to the API.
+ * Every function resolves to a result (see utils/api.js) instead of showing feedback itself.
  */
 
 import { getCurrentUser } from "../auth.js";
+import { ErrorType, failure, apiRequest, apiUrl, escapeRegExp, checkPermission } from "../utils/api.js";
+import { Action } from "../permissions.js";
+import { withOfflineCache, queueIfOffline } from "../utils/offlineStore.js";
+import { EventChange, shareEventChange } from "../utils/liveUpdates.js";
 
 /**
- * The base URL for the events API endpoint.
- * @type {string}
+ * Translates the options accepted by `getAllEvents` into json-server query parameters.
+ * @param {object} options - See `getAllEvents`.
+ * @returns {URLSearchParams} The query parameters.
  */
-const EVENTS_API_URL = "http://localhost:3000/events";
+function buildEventQuery(options) {
+    const params = new URLSearchParams();
+    if (options.page) {
+        params.set("_page", options.page);
+        params.set("_limit", options.limit || 10);
+    }
+    if (options.sort) {
+        params.set("_sort", options.sort);
+        params.set("_order", options.order || "asc");
+    }
+    if (options.q) params.set("q", options.q);
+    // Start and end are ISO instants, so json-server's range filters compare them correctly as text
+    if (options.startFrom) params.set("start_gte", options.startFrom);
+    if (options.startTo) params.set("start_lte", options.startTo);
+    if (options.endFrom) params.set("end_gte", options.endFrom);
+    if (options.endTo) params.set("end_lte", options.endTo);
+    if (options.location) params.set("location_like", escapeRegExp(options.location));
+    if (options.category) params.set("category", options.category);
+    // `seatsLeft` is maintained by the server on every registration and capacity change
+    if (options.availability === "available") params.set("seatsLeft_gte", 1);
+    if (options.availability === "full") params.set("seatsLeft_lte", 0);
+    // `attendees` is matched as its comma-separated text, so the ID must be a whole item
+    if (options.attendeeId !== undefined) params.set("attendees_like", `(^|,)${options.attendeeId}(,|$)`);
+    return params;
+}
 
 /**
- * Fetches all events from the API.
- * @returns {Promise<Array>} A promise that resolves to an array of event objects, or an empty array on failure.
+ * The result returned when an action needs a logged-in user and there is none.
+ * @returns {import("../utils/api.js").Result} The failed result.
  */
-export async function getAllEvents() {
-    try {
-        const response = await fetch(EVENTS_API_URL);
-        if (!response.ok) throw new Error("Failed to fetch events.");
-        return await response.json();
-    } catch (error) {
-        console.error("Error fetching events: ", error);
-        return []; // Return a safe, empty array on error to prevent crashes in rendering logic.
-    }
+function notLoggedIn() {
+    return failure(ErrorType.UNAUTHORIZED, "Please log in to continue.");
+}
+
+/**
+ * Tells the app's other tabs about an event changed by a successful request, so they update at once.
+ * @param {Promise<import("../utils/api.js").Result>} request - The pending request, whose data is the event.
+ * @param {string} type - One of the `EventChange` values.
+ * @returns {Promise<import("../utils/api.js").Result>} The result of the request.
+ */
+async function shareOnSuccess(request, type) {
+    const result = await request;
+    if (result.ok && result.data) shareEventChange(type, result.data);
+    return result;
+}
+
+/**
+ * Fetches events from the API, optionally paginated, filtered and sorted on the server.
+ * @param {object} [options={}] - The query options. Omitting all of them fetches every event.
+ * @param {number} [options.page] - The 1-based page to fetch. Without it, all matching events are returned.
+ * @param {number} [options.limit=10] - The page size, used together with `page`.
+ * @param {string} [options.sort] - The field to sort by (e.g. "start", "title" or "seatsLeft").
+ * @param {string} [options.order="asc"] - The sort order, "asc" or "desc".
+ * @param {string} [options.q] - A search term, matched against the title, description, location, tags and category name.
+ * @param {string} [options.startFrom] - Only events starting at or after this ISO instant.
+ * @param {string} [options.startTo] - Only events starting at or before this ISO instant.
+ * @param {string} [options.endFrom] - Only events ending at or after this ISO instant.
+ * @param {string} [options.endTo] - Only events ending at or before this ISO instant.
+ * @param {string} [options.location] - Only events whose location contains this text.
+ * @param {string} [options.availability] - "available" for events with free seats, "full" for full ones.
+ * @param {number|string} [options.category] - Only events in this category.
+ * @param {number|string} [options.attendeeId] - Only events this user is registered for.
+ * @returns {Promise<import("../utils/api.js").Result>} On success, `data` is `{ events, total }`: the events and
+ * the total number of matching events (read from the `X-Total-Count` header).
+ * While the API can't be reached, the last events fetched with the same options are returned, marked as `stale`.
+ */
+export async function getAllEvents(options = {}) {
+    const query = buildEventQuery(options).toString();
+    const request = apiRequest(query ? `/events?${query}` : "/events", {
+        errorMessage: "The events could not be loaded.",
+        readData: async (response) => {
+            const events = await response.json();
+            // json-server only sends the total count for paginated requests
+            const totalHeader = response.headers.get("X-Total-Count");
+            return { events, total: totalHeader !== null ? parseInt(totalHeader, 10) : events.length };
+        },
+    });
+    return withOfflineCache(request, { key: `events?${query}`, eventsOf: data => data.events });
+}
+
+/**
+ * Fetches a single event by its ID.
+ * @param {string|number} eventId - The ID of the event to fetch.
+ * @returns {Promise<import("../utils/api.js").Result>} On success, `data` is the event.
+ * A missing event fails with `ErrorType.NOT_FOUND`. While the API can't be reached,
+ * the last fetched version of the event is returned, marked as `stale`.
+ */
+export async function getEventById(eventId) {
+    const request = apiRequest(`/events/${eventId}`, {
+        errorMessage: "The event could not be loaded.",
+    });
+    return withOfflineCache(request, { eventId });
 }
 
 /**
  * Creates a new event by sending a POST request to the API.
+ * Data rejected by the API's validation fails with `ErrorType.VALIDATION` and the invalid fields in `fieldErrors`.
  * @param {object} eventData - The data for the new event, typically an instance of the Event model.
- * @returns {Promise<object|null>} A promise that resolves to the newly created event object, or `null` on failure.
+ * @returns {Promise<import("../utils/api.js").Result>} On success, `data` is the created event.
  */
 export async function createEvent(eventData) {
-    try {
-        const response = await fetch(EVENTS_API_URL, {
-            method: "POST",
-            headers: { "Content-Type": "application/json" }, 
-            body: JSON.stringify(eventData)
-        });
-        if (!response.ok) throw new Error("Failed to create event.");
-        return await response.json();
-    } catch (error) {
-        console.error("Error creating event: ", error);
-        return null;
-    }
+    const denied = checkPermission(Action.CREATE_EVENT);
+    if (denied) return denied;
+    return shareOnSuccess(apiRequest("/events", {
+        method: "POST",
+        body: eventData,
+        errorMessage: "The event could not be created.",
+    }), EventChange.CREATED);
 }
 
 /**
  * Updates an existing event using a PATCH request.
  * A PATCH request is used to update only the specified fields.
+ * If the capacity changes, the server promotes visitors from the waitlist into the new seats.
+ * Organizers may only update their own events.
  * @param {string|number} eventId - The ID of the event to update.
  * @param {object} eventData - An object containing the event properties to update.
- * @returns {Promise<object|null>} The updated event object, or `null` on failure.
+ * @returns {Promise<import("../utils/api.js").Result>} On success, `data` is the updated event.
  */
 export async function updateEvent(eventId, eventData) {
-    try {
-        const response = await fetch(`${EVENTS_API_URL}/${eventId}`, {
-            method: "PATCH",
-            headers: { "Content-Type": "application/json" },
-            body: JSON.stringify(eventData)
-        });
-        if (!response.ok) throw new Error("Failed to update event.");
-        return await response.json();
-    } catch (error) {
-        console.error("Error updating event:", error);
-        return null;
-    }
+    const denied = checkPermission(Action.UPDATE_EVENT);
+    if (denied) return denied;
+    return shareOnSuccess(apiRequest(`/events/${eventId}`, {
+        method: "PATCH",
+        body: eventData,
+        errorMessage: "The event could not be updated.",
+    }), EventChange.UPDATED);
 }
 
 /**
- * Deletes a event by its ID using a DELETE request. (Hard Delete)
+ * Deletes an event by its ID using a DELETE request. (Soft Delete)
+ * The event is moved to the trash with its registrations, so it can be restored with `restoreEvent`
+ * until it is purged with `purgeEvent`. Organizers may only delete their own events.
  * @param {string|number} eventId - The ID of the event to delete.
- * @returns {Promise<boolean>} `true` on successful deletion, `false` on failure.
+ * @returns {Promise<import("../utils/api.js").Result>} On success, `data` is the deleted event,
+ * with its `deletedAt` date.
  */
 export async function deleteEvent(eventId) {
-    try {
-        const response = await fetch(`${EVENTS_API_URL}/${eventId}`, {
-            method: "DELETE"
-        });
-        if (!response.ok) throw new Error("Failed to delete event.");
-        return true;
-    } catch (error) {
-        console.error("Error deleting event: ", error);
-        return false;
-    }
+    const denied = checkPermission(Action.DELETE_EVENT);
+    if (denied) return denied;
+    return shareOnSuccess(apiRequest(`/events/${eventId}`, {
+        method: "DELETE",
+        errorMessage: "The event could not be deleted.",
+    }), EventChange.DELETED);
+}
+
+/**
+ * Fetches the deleted events, most recently deleted first. Requires `Action.MANAGE_TRASH`.
+ * @returns {Promise<import("../utils/api.js").Result>} On success, `data` is the list of deleted events.
+ */
+export async function getDeletedEvents() {
+    const denied = checkPermission(Action.MANAGE_TRASH);
+    if (denied) return denied;
+    return apiRequest(`/trash?_sort=deletedAt&_order=desc`, {
+        errorMessage: "The trash could not be loaded.",
+    });
+}
+
+/**
+ * Restores a deleted event, with the registrations and tickets it had when it was deleted.
+ * @param {string|number} eventId - The ID of the deleted event.
+ * @returns {Promise<import("../utils/api.js").Result>} On success, `data` is the restored event.
+ */
+export async function restoreEvent(eventId) {
+    const denied = checkPermission(Action.MANAGE_TRASH);
+    if (denied) return denied;
+    return shareOnSuccess(apiRequest(`/trash/${eventId}/restore`, {
+        method: "POST",
+        errorMessage: "The event could not be restored.",
+    }), EventChange.CREATED);
 }
 
 /**
- * Registers the current user for an event by updating the event's `attendees` array.
+ * Permanently deletes an event from the trash. (Hard Delete)
+ * Its registrations and tickets are lost, so this can't be undone.
+ * @param {string|number} eventId - The ID of the deleted event.
+ * @returns {Promise<import("../utils/api.js").Result>} The result of the deletion.
+ */
+export async function purgeEvent(eventId) {
+    const denied = checkPermission(Action.MANAGE_TRASH);
+    if (denied) return denied;
+    return apiRequest(`/trash/${eventId}`, {
+        method: "DELETE",
+        errorMessage: "The event could not be deleted permanently.",
+        readData: () => null,
+    });
+}
+
+/**
+ * Registers the current user for an event.
+ * The capacity check and the update happen on the server in a single step,
+ * so concurrent registrations can never exceed the event's capacity.
+ * The server identifies the user from the session token, and refuses events that already took place.
+ * A full event, a past one or a duplicate registration fails with `ErrorType.CONFLICT`,
+ * with the `reason` ("full", "past" or "already-registered") in the error's `details`.
  * @param {number|string} eventId - The ID of the event to register for.
- * @returns {Promise<object|null>} The updated event object, or `null` on failure.
+ * @param {object} [options={}]
+ * @param {boolean} [options.queueIfOffline=true] - Whether to queue the registration if the API can't be reached.
+ * @returns {Promise<import("../utils/api.js").Result>} On success, `data` is the updated event,
+ * or `null` with `queued: true` if the registration was queued.
  */
-export async function registerForEvent(eventId) {
+export async function registerForEvent(eventId, { queueIfOffline: queue = true } = {}) {
+    const denied = checkPermission(Action.REGISTER);
+    if (denied) return denied;
     const currentUser = getCurrentUser();
-    if (!currentUser) {
-        console.error("No user is logged in.");
-        return null;
-    }
-
-    try {
-        // First, get the current event to check capacity and get the current attendees list
-        const eventResponse = await fetch(`${EVENTS_API_URL}/${eventId}`);
-        if (!eventResponse.ok) throw new Error("Could not fetch event to register.");
-        const event = await eventResponse.json();
-
-        // Check for capacity and if user is already registered
-        if (event.attendees.length >= event.capacity) {
-            alert("This event is full.");
-            return null;
-        }
-        if (event.attendees.includes(currentUser.id)) {
-            alert("You are already registered for this event.");
-            return null;
-        }
-        
-        const newAttendees = [...event.attendees, currentUser.id];
-
-        const response = await fetch(`${EVENTS_API_URL}/${eventId}`, {
-            method: "PATCH",
-            headers: { "Content-Type": "application/json" },
-            body: JSON.stringify({ attendees: newAttendees }),
-        });
-        if (!response.ok) throw new Error("Failed to register for event.");
-        return await response.json();
-    } catch (error) {
-        console.error("Error registering for event:", error);
-        return null;
-    }
+    const request = shareOnSuccess(apiRequest(`/events/${eventId}/registrations`, {
+        method: "POST",
+        errorMessage: "The registration could not be completed.",
+    }), EventChange.UPDATED);
+    return queue ? queueIfOffline(request, { type: "register", eventId, userId: currentUser.id }) : request;
 }
 
 /**
  * Unregisters the current user from an event.
+ * The server hands the freed seat to the first visitor on the waitlist, if any.
+ * Not being registered fails with `ErrorType.NOT_FOUND` and the reason "not-registered" in the error's `details`.
  * @param {number|string} eventId - The ID of the event to unregister from.
- * @returns {Promise<object|null>} The updated event object, or `null` on failure.
+ * @param {object} [options={}]
+ * @param {boolean} [options.queueIfOffline=true] - Whether to queue the action if the API can't be reached.
+ * @returns {Promise<import("../utils/api.js").Result>} On success, `data` is the updated event,
+ * or `null` with `queued: true` if the action was queued.
  */
-export async function unregisterFromEvent(eventId) {
+export async function unregisterFromEvent(eventId, { queueIfOffline: queue = true } = {}) {
     const currentUser = getCurrentUser();
-    if (!currentUser) return null;
-
-    try {
-        const eventResponse = await fetch(`${EVENTS_API_URL}/${eventId}`);
-        if (!eventResponse.ok) throw new Error("Could not fetch event to unregister.");
-        const event = await eventResponse.json();
-
-        const newAttendees = event.attendees.filter(id => id !== currentUser.id);
-
-        const response = await fetch(`${EVENTS_API_URL}/${eventId}`, {
-            method: 'PATCH',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ attendees: newAttendees }),
-        });
-        if (!response.ok) throw new Error('Failed to unregister from event.');
-        return await response.json();
-    } catch (error) {
-        console.error('Error unregistering from event:', error);
-        return null;
-    }
-}
\ No newline at end of file
+    if (!currentUser) return notLoggedIn();
+    const request = shareOnSuccess(apiRequest(`/events/${eventId}/registrations/${currentUser.id}`, {
+        method: "DELETE",
+        errorMessage: "You could not be unregistered from the event.",
+    }), EventChange.UPDATED);
+    return queue ? queueIfOffline(request, { type: "unregister", eventId, userId: currentUser.id }) : request;
+}
+
+/**
+ * Registers another user for an event, e.g. to add an attendee by hand. Requires `Action.MANAGE_ATTENDEES`.
+ * The server finds the user by email, ignoring case, and applies the same rules as for self-registration:
+ * no past or full events, no duplicates. An unknown email fails with `ErrorType.NOT_FOUND`.
+ * @param {number|string} eventId - The ID of the event.
+ * @param {string} email - The email of the user to register.
+ * @returns {Promise<import("../utils/api.js").Result>} On success, `data` is the updated event.
+ */
+export async function addAttendee(eventId, email) {
+    const denied = checkPermission(Action.MANAGE_ATTENDEES);
+    if (denied) return denied;
+    return shareOnSuccess(apiRequest(`/events/${eventId}/registrations`, {
+        method: "POST",
+        body: { email: email.trim() },
+        errorMessage: "The attendee could not be added.",
+    }), EventChange.UPDATED);
+}
+
+/**
+ * Removes a user from an event's attendees. Requires `Action.MANAGE_ATTENDEES`.
+ * As when a visitor unregisters, the freed seat goes to the first visitor on the waitlist.
+ * @param {number|string} eventId - The ID of the event.
+ * @param {number|string} userId - The ID of the attendee to remove.
+ * @returns {Promise<import("../utils/api.js").Result>} On success, `data` is the updated event.
+ */
+export async function removeAttendee(eventId, userId) {
+    const denied = checkPermission(Action.MANAGE_ATTENDEES);
+    if (denied) return denied;
+    return shareOnSuccess(apiRequest(`/events/${eventId}/registrations/${userId}`, {
+        method: "DELETE",
+        errorMessage: "The attendee could not be removed.",
+    }), EventChange.UPDATED);
+}
+
+/**
+ * Adds the current user to the end of a full event's waitlist.
+ * An event with free seats, or a user already registered or queued, fails with `ErrorType.CONFLICT`.
+ * @param {number|string} eventId - The ID of the event whose waitlist to join.
+ * @returns {Promise<import("../utils/api.js").Result>} On success, `data` is the updated event.
+ */
+export async function joinWaitlist(eventId) {
+    const denied = checkPermission(Action.REGISTER);
+    if (denied) return denied;
+    return shareOnSuccess(apiRequest(`/events/${eventId}/waitlist`, {
+        method: "POST",
+        errorMessage: "You could not join the waitlist.",
+    }), EventChange.UPDATED);
+}
+
+/**
+ * Removes the current user from an event's waitlist.
+ * @param {number|string} eventId - The ID of the event whose waitlist to leave.
+ * @returns {Promise<import("../utils/api.js").Result>} On success, `data` is the updated event.
+ */
+export async function leaveWaitlist(eventId) {
+    const currentUser = getCurrentUser();
+    if (!currentUser) return notLoggedIn();
+    return shareOnSuccess(apiRequest(`/events/${eventId}/waitlist/${currentUser.id}`, {
+        method: "DELETE",
+        errorMessage: "You could not leave the waitlist.",
+    }), EventChange.UPDATED);
+}
+
+/**
+ * Moves a waitlisted visitor one position up or down in an event's waitlist.
+ * Intended for the event's managers, from their dashboard; it counts as updating the event.
+ * The server swaps the visitor with their neighbour in a single step, so people joining or leaving
+ * the waitlist at the same time are kept.
+ * @param {number|string} eventId - The ID of the event whose waitlist to reorder.
+ * @param {number|string} userId - The ID of the waitlisted visitor to move.
+ * @param {number} direction - `-1` to move the visitor up, `1` to move them down.
+ * @returns {Promise<import("../utils/api.js").Result>} On success, `data` is the updated event
+ * (unchanged if the visitor was already at that end of the queue).
+ */
+export async function moveInWaitlist(eventId, userId, direction) {
+    const denied = checkPermission(Action.UPDATE_EVENT);
+    if (denied) return denied;
+    return shareOnSuccess(apiRequest(`/events/${eventId}/waitlist/${userId}`, {
+        method: "PATCH",
+        body: { direction },
+        errorMessage: "The waitlist could not be reordered.",
+    }), EventChange.UPDATED);
+}
+
+/**
+ * Builds the URL that downloads a single event as an iCalendar (.ics) file.
+ * Events are public, so the URL works without a session and can be used directly as a link.
+ * @param {number|string} eventId - The ID of the event.
+ * @returns {string} The download URL.
+ */
+export function getEventCalendarUrl(eventId) {
+    return apiUrl(`/calendars/events/${eventId}.ics`);
+}
+
+/**
+ * Fetches the URL of the current user's calendar feed, which calendar apps can subscribe to.
+ * The feed lists every event the user is registered for and stays up to date as they register or unregister.
+ * @returns {Promise<import("../utils/api.js").Result>} On success, `data` is the feed URL.
+ */
+export async function getCalendarFeedUrl() {
+    return apiRequest(`/calendars/feed`, {
+        errorMessage: "The calendar feed could not be loaded.",
+        readData: async (response) => (await response.json()).url,
+    });
+}
+
+/**
+ * Downloads the full event catalogue as an iCalendar (.ics) file. Requires `Action.EXPORT_CATALOGUE`.
+ * @returns {Promise<import("../utils/api.js").Result>} On success, `data` is the calendar file as a Blob.
+ */
+export async function exportEventCatalogue() {
+    const denied = checkPermission(Action.EXPORT_CATALOGUE);
+    if (denied) return denied;
+    return apiRequest(`/calendars/events.ics`, {
+        errorMessage: "The event catalogue could not be exported.",
+        readData: response => response.blob(),
+    });
+}
@@ -0,0 +1,71 @@
+/**
+ * @file This controller manages the tickets issued for registrations
+ * and the check-in of attendees at the door.
+ * Every function resolves to a result (see utils/api.js) instead of showing feedback itself.
+ */
+
+import { getCurrentUser } from "../auth.js";
+import { ErrorType, failure, apiRequest, checkPermission } from "../utils/api.js";
+import { Action } from "../permissions.js";
+import { withOfflineCache } from "../utils/offlineStore.js";
+
+/**
+ * Fetches the tickets of the current user, one per event they are registered for.
+ * @returns {Promise<import("../utils/api.js").Result>} On success, `data` is the list of tickets
+ * `{ id, code, eventId, userId, issuedAt, checkedInAt }`. They are also kept offline, so they can be shown at the door
+ * without a connection.
+ */
+export async function getMyTickets() {
+    const currentUser = getCurrentUser();
+    if (!currentUser) return failure(ErrorType.UNAUTHORIZED, "Please log in to see your tickets.");
+
+    const request = apiRequest(`/users/${currentUser.id}/tickets`, {
+        errorMessage: "Your tickets could not be loaded.",
+    });
+    return withOfflineCache(request, { key: `users/${currentUser.id}/tickets` });
+}
+
+/**
+ * Fetches every ticket, e.g. to compute registration and attendance statistics. Requires `Action.VIEW_ANALYTICS`.
+ * @returns {Promise<import("../utils/api.js").Result>} On success, `data` is the list of tickets,
+ * including those of the events in the trash.
+ */
+export async function getAllTickets() {
+    const denied = checkPermission(Action.VIEW_ANALYTICS);
+    if (denied) return denied;
+    return apiRequest("/tickets", {
+        errorMessage: "The tickets could not be loaded.",
+    });
+}
+
+/**
+ * Fetches how many attendees of an event have checked in. Requires `Action.MANAGE_ATTENDEES` for the event.
+ * @param {number|string} eventId - The ID of the event.
+ * @returns {Promise<import("../utils/api.js").Result>} On success, `data` is `{ checkedIn, registered }`.
+ */
+export async function getCheckInStats(eventId) {
+    const denied = checkPermission(Action.MANAGE_ATTENDEES);
+    if (denied) return denied;
+    return apiRequest(`/events/${eventId}/check-ins`, {
+        errorMessage: "The check-in counts could not be loaded.",
+    });
+}
+
+/**
+ * Checks an attendee in with their ticket code. Requires `Action.MANAGE_ATTENDEES` for the event.
+ * An unknown code or a ticket for another event fails with `ErrorType.NOT_FOUND` or `ErrorType.CONFLICT`,
+ * and a ticket that was already used with `ErrorType.CONFLICT`; when known, the error's `details`
+ * include the `ticket`, the `attendee` and the `stats`.
+ * @param {number|string} eventId - The ID of the event being checked in.
+ * @param {string} code - The scanned or typed ticket code.
+ * @returns {Promise<import("../utils/api.js").Result>} On success, `data` is `{ ticket, attendee, stats }`.
+ */
+export async function checkInTicket(eventId, code) {
+    const denied = checkPermission(Action.MANAGE_ATTENDEES);
+    if (denied) return denied;
+    return apiRequest(`/events/${eventId}/check-ins`, {
+        method: "POST",
+        body: { code },
+        errorMessage: "The ticket could not be checked. Please try again.",
+    });
+}
@@ -0,0 +1,77 @@
+/**
+ * @file This controller manages the requests about user accounts,
+ * other than logging in and registering (see authController).
+ * Looking users up requires `Action.VIEW_USERS`, and managing them `Action.MANAGE_USERS` (see permissions.js).
+ * Every function resolves to a result (see utils/api.js) instead of showing feedback itself.
+ */
+
+import { success, apiRequest, escapeRegExp, checkPermission } from "../utils/api.js";
+import { Action } from "../permissions.js";
+
+/**
+ * Fetches the user accounts, sorted by email.
+ * @param {object} [options={}]
+ * @param {string} [options.email] - Only users whose email contains this text, ignoring case.
+ * @returns {Promise<import("../utils/api.js").Result>} On success, `data` is the list of users (without credentials).
+ */
+export async function getAllUsers({ email } = {}) {
+    const denied = checkPermission(Action.VIEW_USERS);
+    if (denied) return denied;
+    const params = new URLSearchParams({ _sort: "email", _order: "asc" });
+    if (email && email.trim()) params.set("email_like", escapeRegExp(email.trim()));
+    return apiRequest(`/users?${params}`, {
+        errorMessage: "The users could not be loaded.",
+    });
+}
+
+/**
+ * Fetches several users at once, e.g. to show the emails of an event's attendees.
+ * Organizers may only fetch the people on their own events, and only get their IDs and emails.
+ * @param {Array<number|string>} userIds - The IDs of the users to fetch.
+ * @returns {Promise<import("../utils/api.js").Result>} On success, `data` is the list of users that exist
+ * (without credentials).
+ */
+export async function getUsersByIds(userIds) {
+    const denied = checkPermission(Action.VIEW_USERS);
+    if (denied) return denied;
+    if (userIds.length === 0) return success([]);
+
+    const query = new URLSearchParams(userIds.map(id => ["id", id])).toString();
+    return apiRequest(`/users?${query}`, {
+        errorMessage: "The users could not be loaded.",
+    });
+}
+
+/**
+ * Changes the role of a user or disables their account. Requires `Action.MANAGE_USERS`.
+ * A change that would leave no active administrator fails with `ErrorType.CONFLICT`.
+ * @param {number|string} userId - The ID of the user.
+ * @param {{role?: string, disabled?: boolean}} changes - The fields to change.
+ * @returns {Promise<import("../utils/api.js").Result>} On success, `data` is the updated user.
+ */
+export async function updateUser(userId, changes) {
+    const denied = checkPermission(Action.MANAGE_USERS);
+    if (denied) return denied;
+    return apiRequest(`/users/${userId}`, {
+        method: "PATCH",
+        body: changes,
+        errorMessage: "The user could not be updated.",
+    });
+}
+
+/**
+ * Deletes a user account. Requires `Action.MANAGE_USERS`.
+ * The user is removed from every event they registered for or were waiting for, and their tickets are revoked.
+ * Deleting the last active administrator fails with `ErrorType.CONFLICT`.
+ * @param {number|string} userId - The ID of the user.
+ * @returns {Promise<import("../utils/api.js").Result>} The result of the deletion.
+ */
+export async function deleteUser(userId) {
+    const denied = checkPermission(Action.MANAGE_USERS);
+    if (denied) return denied;
+    return apiRequest(`/users/${userId}`, {
+        method: "DELETE",
+        errorMessage: "The user could not be deleted.",
+        readData: () => null,
+    });
+}
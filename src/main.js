@@ -9,6 +9,9 @@ import "./style.css";
 
 // Import the necessary functions from the router module.
 import { handleLocation, navigateTo } from "./router.js";
+import { SESSION_EXPIRED_EVENT } from "./auth.js";
+import { showToast, ToastType } from "./utils/notifications.js";
+import { initializeOfflineSupport } from "./utils/offline.js";
 
 /**
  * Initializes the application by setting up global event listeners for navigation.
@@ -22,7 +25,8 @@ function initializeApp () {
      */
     document.addEventListener("click", e => {
         // Check if the clicked element is an anchor tag with an href attribute.
-        if (e.target.matches("a[href]")) {
+        // Downloads and links to other origins (the API, webcal:// feeds...) are left to the browser.
+        if (e.target.matches("a[href]:not([download])") && e.target.origin === window.location.origin) {
             e.preventDefault();  // Prevent the browser's default full page reload.
             navigateTo(e.target.getAttribute("href")); // Use the custom navigation function.
         }
@@ -35,6 +39,18 @@ function initializeApp () {
      */
     window.addEventListener("popstate", handleLocation);
 
+    /**
+     * Listen for the API rejecting the session token (401). The session has already
+     * been cleared by then, so the user is told why and sent back to the login page.
+     */
+    window.addEventListener(SESSION_EXPIRED_EVENT, () => {
+        showToast("Your session has expired. Please log in again.", ToastType.WARNING);
+        navigateTo("/login");
+    });
+
+    // Cache the app for offline use and send the registrations queued while offline
+    initializeOfflineSupport();
+
     /**
      * Handle the initial page load. We wait for the DOM to be fully loaded
      * before running the router's location handler for the first time.
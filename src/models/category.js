@@ -0,0 +1,56 @@
+/**
+ * @file Defines the Category class. Categories group events by kind (concerts, matches, talks...)
+ * and are managed by administrators in the `/categories` collection.
+ */
+
+import { isBlank } from "./validation.js";
+
+/**
+ * The allowed length of a category name, in characters.
+ * @type {{min: number, max: number}}
+ */
+const NAME_LENGTH = { min: 2, max: 40 };
+
+/**
+ * A color as a 6-digit hex code, e.g. "#2a9d8f".
+ * @type {RegExp}
+ */
+const COLOR_PATTERN = /^#[0-9a-f]{6}$/i;
+
+/**
+ * Represents a category of events.
+ */
+export default class Category {
+    /**
+     * Creates an instance of a Category.
+     * @param {string} name - The name shown on the event chips, e.g. "Music".
+     * @param {string} color - The color of its chips, as a 6-digit hex code.
+     */
+    constructor(name, color) {
+        this.name = name.trim();
+        this.color = color;
+    }
+
+    /**
+     * Checks category data: a name of 2 to 40 characters and a 6-digit hex color.
+     * Whether the name is already taken is checked by the API.
+     * Used by the forms before submitting and by the API before writing.
+     * @param {object} data - The category data, with the same fields as the constructor.
+     * @returns {Object.<string, string>} The error message of each invalid field, keyed by field name.
+     * The object is empty when the data is valid.
+     */
+    static validate(data) {
+        const errors = {};
+
+        const name = String(data.name ?? "").trim();
+        if (isBlank(name)) errors.name = "The name is required.";
+        else if (name.length < NAME_LENGTH.min || name.length > NAME_LENGTH.max) {
+            errors.name = `The name must be between ${NAME_LENGTH.min} and ${NAME_LENGTH.max} characters long.`;
+        }
+        if (typeof data.color !== "string" || !COLOR_PATTERN.test(data.color)) {
+            errors.color = "The color must be a hex code such as #2a9d8f.";
+        }
+
+        return errors;
+    }
+}
@@ -3,6 +3,33 @@
  * @file Defines the Event class, which serves as a blueprint for creating event objects.
  */
 
+import { isBlank, isInteger, isIsoDateTime, isValidTimeZone } from "./validation.js";
+
+/**
+ * The allowed length of an event title, in characters.
+ * @type {{min: number, max: number}}
+ */
+const TITLE_LENGTH = { min: 3, max: 100 };
+
+/**
+ * The limits on an event's tags: how many it can have, and how long each one can be.
+ * @type {{count: number, length: number}}
+ */
+const TAG_LIMITS = { count: 10, length: 30 };
+
+/**
+ * A cover image stored as a data URL. SVG is left out, since it can carry scripts.
+ * @type {RegExp}
+ */
+const IMAGE_PATTERN = /^data:image\/(png|jpeg|gif|webp);base64,[A-Za-z0-9+/]+={0,2}$/;
+
+/**
+ * The longest cover image accepted, in characters of its data URL (about 375 KB of image).
+ * The admin form shrinks pictures well below this before uploading them.
+ * @type {number}
+ */
+export const MAX_IMAGE_LENGTH = 500000;
+
 /**
  * Represents a Event in the application.
  * This class provides a consistent structure for event data.
@@ -13,15 +40,111 @@ export default class Event {
      * @param {string} title - The title of the event.
      * @param {string} description - A detailed description of the event.
      * @param {string} location - The location where the event takes place.
-     * @param {string|number} date - The date and time of the event.
+     * @param {string} start - When the event starts, as a UTC ISO instant.
+     * @param {string} end - When the event ends, as a UTC ISO instant. Must be after `start`.
+     * @param {string} timezone - The IANA timezone the event takes place in (e.g. "America/Bogota"),
+     * used to enter and display its times.
      * @param {string|number} capacity - The maximum number of attendees.
+     * @param {object} [details={}] - The optional details of the event.
+     * @param {number|null} [details.category=null] - The ID of its category in the `/categories` collection.
+     * @param {string[]} [details.tags=[]] - Free-form tags, e.g. "outdoor" or "family".
+     * @param {string|null} [details.image=null] - A cover image, as a data URL.
      */
-    constructor(title, description, location, date, capacity) {
+    constructor(title, description, location, start, end, timezone, capacity, { category = null, tags = [], image = null } = {}) {
         this.title = title;
         this.description = description;
         this.location = location;
-        this.date = date; 
+        this.start = start;
+        this.end = end;
+        this.timezone = timezone;
         this.capacity = parseInt(capacity, 10); 
+        // The ID of the category. It is not named `categoryId` because json-server deletes every record
+        // whose `...Id` field points to nothing (including `null`) whenever something is deleted through it
+        this.category = category;
+        this.tags = normalizeTags(tags);
+        this.image = image;
         this.attendees = []; // New event start with no attendees
+        this.waitlist = []; // Visitors queued for a seat once the event is full, in order
+        // The ID of the user who created the event, who may manage it (see permissions.js).
+        // The API sets it, so it can't be forged. Unlike `category`, the `...Id` name is safe: there is no `owners` collection
+        this.ownerId = null;
+    }
+
+    /**
+     * Checks event data against the rules every event must follow: a title of 3 to 100 characters,
+     * a description and a location, ISO `start` and `end` date-times with the end after the start,
+     * a known timezone, and a whole-number capacity of at least 1 that is not lower than the number
+     * of people already registered. The optional details must be a category ID, up to 10 tags
+     * of at most 30 characters, and a PNG, JPEG, GIF or WebP cover image given as a data URL.
+     * Whether the category exists is checked by the API.
+     * Used by the forms before submitting and by the API before writing.
+     * @param {object} data - The event data, with the same fields as the constructor.
+     * Include `attendees` when validating changes to an existing event.
+     * @returns {Object.<string, string>} The error message of each invalid field, keyed by field name.
+     * The object is empty when the data is valid.
+     */
+    static validate(data) {
+        const errors = {};
+
+        const title = String(data.title ?? "").trim();
+        if (!title) errors.title = "The title is required.";
+        else if (title.length < TITLE_LENGTH.min || title.length > TITLE_LENGTH.max) {
+            errors.title = `The title must be between ${TITLE_LENGTH.min} and ${TITLE_LENGTH.max} characters long.`;
+        }
+        if (isBlank(data.description)) errors.description = "The description is required.";
+        if (isBlank(data.location)) errors.location = "The location is required.";
+
+        if (!isIsoDateTime(data.start)) errors.start = "The start date is missing or invalid.";
+        if (!isIsoDateTime(data.end)) errors.end = "The end date is missing or invalid.";
+        else if (!errors.start && Date.parse(data.end) <= Date.parse(data.start)) errors.end = "The event must end after it starts.";
+
+        if (!isValidTimeZone(data.timezone)) errors.timezone = "The timezone is missing or unknown.";
+
+        const registered = Array.isArray(data.attendees) ? data.attendees.length : 0;
+        if (!isInteger(data.capacity) || parseInt(data.capacity, 10) < 1) {
+            errors.capacity = "The capacity must be a whole number of at least 1.";
+        } else if (parseInt(data.capacity, 10) < registered) {
+            errors.capacity = `The capacity can't be lower than the ${registered} people already registered.`;
+        }
+
+        if (data.category !== undefined && data.category !== null && (!isInteger(data.category) || parseInt(data.category, 10) < 1)) {
+            errors.category = "The category is invalid.";
+        }
+
+        if (data.tags !== undefined) {
+            if (!Array.isArray(data.tags) || data.tags.some(tag => typeof tag !== "string" || isBlank(tag))) {
+                errors.tags = "The tags must be a list of words.";
+            } else if (data.tags.length > TAG_LIMITS.count) {
+                errors.tags = `An event can have at most ${TAG_LIMITS.count} tags.`;
+            } else if (data.tags.some(tag => tag.trim().length > TAG_LIMITS.length)) {
+                errors.tags = `Each tag can be at most ${TAG_LIMITS.length} characters long.`;
+            }
+        }
+
+        if (data.image !== undefined && data.image !== null) {
+            if (typeof data.image !== "string" || !IMAGE_PATTERN.test(data.image)) {
+                errors.image = "The image must be a PNG, JPEG, GIF or WebP picture.";
+            } else if (data.image.length > MAX_IMAGE_LENGTH) {
+                errors.image = "The image is too large.";
+            }
+        }
+
+        return errors;
     }
-}
\ No newline at end of file
+}
+
+/**
+ * Cleans up a list of tags: trims them, drops the empty ones and the repeated ones (ignoring case).
+ * @param {string[]|string} tags - The tags, or a comma-separated list of them as typed in a form.
+ * @returns {string[]} The tags, in their original order.
+ */
+export function normalizeTags(tags) {
+    const list = typeof tags === "string" ? tags.split(",") : tags;
+    const seen = new Set();
+    return list.map(tag => String(tag).trim()).filter(tag => {
+        const key = tag.toLowerCase();
+        if (!tag || seen.has(key)) return false;
+        seen.add(key);
+        return true;
+    });
+}
@@ -1,8 +1,22 @@
-
 /**
  * @file Defines the User class, which serves as a blueprint for creating user objects.
  */
 
+import { EMAIL_PATTERN, isBlank } from "./validation.js";
+import { Role } from "../permissions.js";
+
+/**
+ * The roles a user can have.
+ * @type {string[]}
+ */
+export const ROLES = Object.values(Role);
+
+/**
+ * The minimum length of a new password.
+ * @type {number}
+ */
+const PASSWORD_MIN_LENGTH = 8;
+
 /**
  * Represents a User in the application.
  * This class ensures that every new user object has a consistent structure.
@@ -11,7 +25,8 @@ export default class User {
     /**
      * Creates an instance of a User.
      * @param {string} email - The user's email address.
-     * @param {string} password - The user's raw password.
+     * @param {string} password - The user's raw password. It is only sent to the registration endpoint,
+     * which stores a salted hash instead.
      * @param {string} [role="visitor"] - The user's role. Defaults to 'visitor' for all new registrations.
      */
     constructor(email, password, role = "visitor") {
@@ -19,4 +34,35 @@ export default class User {
         this.password = password;
         this.role = role; // Default role is 'visitor'
     }
-}
\ No newline at end of file
+
+    /**
+     * Checks user data against the account rules: a valid email, a known role, a boolean `disabled` flag and,
+     * for new passwords, the password policy (at least 8 characters, with letters and numbers).
+     * Used by the forms before submitting and by the API before writing.
+     * @param {object} data - The user data. `password`, `role` and `disabled` are only checked when present.
+     * @param {object} [options]
+     * @param {boolean} [options.newPassword=true] - Whether to enforce the password policy.
+     * Logging in with an existing password only requires it to be filled in.
+     * @returns {Object.<string, string>} The error message of each invalid field, keyed by field name.
+     * The object is empty when the data is valid.
+     */
+    static validate(data, { newPassword = true } = {}) {
+        const errors = {};
+
+        if (isBlank(data.email)) errors.email = "The email is required.";
+        else if (!EMAIL_PATTERN.test(String(data.email).trim())) errors.email = "The email address is not valid.";
+
+        if ("password" in data) {
+            const password = String(data.password ?? "");
+            if (!password) errors.password = "The password is required.";
+            else if (newPassword && (password.length < PASSWORD_MIN_LENGTH || !/[A-Za-z]/.test(password) || !/\d/.test(password))) {
+                errors.password = `The password must be at least ${PASSWORD_MIN_LENGTH} characters long and include letters and numbers.`;
+            }
+        }
+
+        if ("role" in data && !ROLES.includes(data.role)) errors.role = `The role must be one of: ${ROLES.join(", ")}.`;
+        if ("disabled" in data && typeof data.disabled !== "boolean") errors.disabled = "The disabled flag must be true or false.";
+
+        return errors;
+    }
+}
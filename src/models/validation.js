@@ -0,0 +1,72 @@
+/**
+ * @file Validation helpers shared by the models.
+ * They have no browser or Node dependencies, so the exact same rules run in the forms
+ * (to show inline messages) and in the API (to reject bad writes with a 400).
+ *
+ * Validators return structured field errors: an object with the error message of each
+ * invalid field, keyed by field name, e.g. `{ capacity: "The capacity must be..." }`.
+ * An empty object means the data is valid.
+ */
+
+/**
+ * A pragmatic email format: something, an "@", a domain with at least one dot, no spaces.
+ * @type {RegExp}
+ */
+export const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * An ISO 8601 date-time with an explicit UTC offset, e.g. "2026-01-21T01:00:00.000Z".
+ * @type {RegExp}
+ */
+const ISO_DATE_TIME_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d{1,3})?)?(Z|[+-]\d{2}:\d{2})$/;
+
+/**
+ * Checks whether a value is missing or only whitespace.
+ * @param {*} value - The value to check.
+ * @returns {boolean} True if the value is blank.
+ */
+export function isBlank(value) {
+    return String(value ?? "").trim() === "";
+}
+
+/**
+ * Checks whether a value is an ISO 8601 date-time with a UTC offset that denotes a real instant.
+ * @param {*} value - The value to check.
+ * @returns {boolean} True if the value is a valid ISO date-time.
+ */
+export function isIsoDateTime(value) {
+    return typeof value === "string" && ISO_DATE_TIME_PATTERN.test(value) && !Number.isNaN(Date.parse(value));
+}
+
+/**
+ * Checks whether a value is a whole number, given as a number or as a string of digits.
+ * @param {*} value - The value to check.
+ * @returns {boolean} True if the value is an integer.
+ */
+export function isInteger(value) {
+    return typeof value === "number" ? Number.isInteger(value) : /^-?\d+$/.test(String(value ?? "").trim());
+}
+
+/**
+ * Checks whether a value is an IANA timezone name the runtime knows.
+ * @param {*} timeZone - The value to check.
+ * @returns {boolean} True if it can be used as a timezone.
+ */
+export function isValidTimeZone(timeZone) {
+    if (typeof timeZone !== "string" || !timeZone) return false;
+    try {
+        new Intl.DateTimeFormat(undefined, { timeZone });
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Checks whether a validator found any errors.
+ * @param {Object.<string, string>} errors - The field errors returned by a validator.
+ * @returns {boolean} True if at least one field is invalid.
+ */
+export function hasErrors(errors) {
+    return Object.keys(errors).length > 0;
+}
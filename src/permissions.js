@@ -0,0 +1,114 @@
+/**
+ * @file The permission policy: what each role may do, in a single place.
+ * The router's guards, the buttons of the views, the controllers and the API all ask `can`,
+ * so changing a rule here changes it everywhere.
+ * Administrators may do anything but register for events. Organizers create events and manage
+ * the ones they own (see `ownerId` on the Event model). Visitors register for events.
+ */
+
+/**
+ * The roles a user can have.
+ * @enum {string}
+ */
+export const Role = Object.freeze({
+    VISITOR: "visitor",
+    ORGANIZER: "organizer",
+    ADMINISTRATOR: "administrator",
+});
+
+/**
+ * The actions permissions are granted for. Event actions can be checked against a specific event.
+ * @enum {string}
+ */
+export const Action = Object.freeze({
+    /** Register for events and join their waitlists. */
+    REGISTER: "event:register",
+    /** Create events, by hand or by importing them. */
+    CREATE_EVENT: "event:create",
+    /** Edit an event, including the order of its waitlist. */
+    UPDATE_EVENT: "event:update",
+    /** Move an event to the trash. */
+    DELETE_EVENT: "event:delete",
+    /** See and change an event's attendees, and check them in. */
+    MANAGE_ATTENDEES: "event:manage-attendees",
+    /** Download the whole event catalogue as a calendar. */
+    EXPORT_CATALOGUE: "catalogue:export",
+    /** Look users up, e.g. to show the emails of an event's attendees. Owning an event lets one see the people on it. */
+    VIEW_USERS: "users:view",
+    /** Change the role of users, disable and delete them. */
+    MANAGE_USERS: "users:manage",
+    /** Manage the categories of events. */
+    MANAGE_CATEGORIES: "categories:manage",
+    /** Restore deleted events and delete them permanently. */
+    MANAGE_TRASH: "trash:manage",
+    /** See the statistics of every event, and read every ticket to compute them. */
+    VIEW_ANALYTICS: "analytics:view",
+});
+
+/**
+ * How far a permission reaches: every resource, or only the ones the user owns.
+ * @enum {string}
+ */
+const Scope = Object.freeze({
+    ANY: "any",
+    OWN: "own",
+});
+
+/**
+ * The actions each role may perform, and on which resources.
+ * @type {Object.<string, Object.<string, string>>}
+ */
+const POLICY = {
+    [Role.VISITOR]: {
+        [Action.REGISTER]: Scope.ANY,
+    },
+    [Role.ORGANIZER]: {
+        [Action.CREATE_EVENT]: Scope.ANY,
+        [Action.UPDATE_EVENT]: Scope.OWN,
+        [Action.DELETE_EVENT]: Scope.OWN,
+        [Action.MANAGE_ATTENDEES]: Scope.OWN,
+        [Action.EXPORT_CATALOGUE]: Scope.ANY,
+        [Action.VIEW_USERS]: Scope.OWN,
+    },
+    [Role.ADMINISTRATOR]: Object.fromEntries(Object.values(Action)
+        .filter(action => action !== Action.REGISTER)
+        .map(action => [action, Scope.ANY])),
+};
+
+/**
+ * Checks whether a user owns a resource, such as an event they created.
+ * @param {object} user - The user.
+ * @param {object} resource - The resource, with its `ownerId`.
+ * @returns {boolean} True if the resource belongs to the user. Resources without an owner belong to nobody.
+ */
+export function isOwner(user, resource) {
+    return resource.ownerId !== undefined && resource.ownerId !== null && String(resource.ownerId) === String(user.id);
+}
+
+/**
+ * Checks whether a user may perform an action on every resource, not only on the ones they own.
+ * @param {object|null} user - The user, with their `role`, or `null` for guests.
+ * @param {string} action - One of the `Action` values.
+ * @returns {boolean} True if the action is allowed on any resource.
+ */
+export function canOnAny(user, action) {
+    return Boolean(user) && POLICY[user.role]?.[action] === Scope.ANY;
+}
+
+/**
+ * Checks whether a user may perform an action.
+ * @example
+ * can(user, Action.UPDATE_EVENT, event) // Whether to show the event's "Edit" button
+ * @param {object|null} user - The user, with their `id` and `role`, or `null` for guests, who may do none of these actions.
+ * @param {string} action - One of the `Action` values.
+ * @param {object} [resource] - The resource acted on, e.g. an event. Without it, the answer is whether the user
+ * may perform the action at all, even if only on their own resources; enough to show a page whose resource
+ * isn't loaded yet, whose own checks follow once it is.
+ * @returns {boolean} True if the action is allowed.
+ */
+export function can(user, action, resource) {
+    if (!user) return false;
+    const scope = POLICY[user.role]?.[action];
+    if (!scope) return false;
+    return scope === Scope.ANY || !resource || isOwner(user, resource);
+}
@@ -0,0 +1,152 @@
+/**
+ * @file Declarative route table for the SPA.
+ * Each route describes everything the router needs to know about a page: its URL pattern,
+ * its view, who may access it, its title and styling, its navbar link and the logic to run
+ * once the view is in the DOM. Adding a page only requires adding an entry here.
+ */
+
+import { Action } from "./permissions.js";
+
+/**
+ * @typedef {object} RouteDefinition
+ * @property {string} path - The URL pattern. Segments starting with ":" are parameters (e.g. "/events/:id").
+ * @property {string[]} [aliases] - Other static paths that resolve to this route.
+ * @property {string} view - The absolute path to the HTML view file.
+ * @property {string} title - The document title shown while the route is active.
+ * @property {string} [permission] - The action (see permissions.js) a user must be allowed to perform
+ * to access the route. Omit it for public routes.
+ * @property {boolean} [guestOnly] - If true, authenticated users are redirected to their dashboard.
+ * @property {boolean} [dashboard] - If true, this is the landing page for the users who may access it.
+ * @property {string} [bodyClass] - A CSS class added to the body while the route is active.
+ * @property {string} [navLabel] - The label of the route's navbar link. Omit it to keep the route out of the navbar.
+ * @property {() => Promise<{default: Function}>} [initializer] - Lazily loads the view's module.
+ * Its default export is called with `{ user, params }` after the view is in the DOM.
+ */
+
+/**
+ * The application's routes, in navbar order.
+ * @type {RouteDefinition[]}
+ */
+export const routes = [
+    {
+        path: "/",
+        aliases: ["/home"],
+        view: "/src/views/home.html",
+        title: "Home",
+        navLabel: "Home",
+    },
+    {
+        path: "/login",
+        view: "/src/views/login.html",
+        title: "Login",
+        guestOnly: true,
+        navLabel: "Login",
+        initializer: () => import("./views/login.js"),
+    },
+    {
+        path: "/register",
+        view: "/src/views/register.html",
+        title: "Register",
+        guestOnly: true,
+        navLabel: "Register",
+        initializer: () => import("./views/register.js"),
+    },
+    {
+        path: "/admin-dashboard",
+        view: "/src/views/admin-dashboard.html",
+        title: "Event Management",
+        permission: Action.CREATE_EVENT,
+        dashboard: true,
+        bodyClass: "dashboard-view",
+        navLabel: "Event Management",
+        initializer: () => import("./views/admin-dashboard.js"),
+    },
+    {
+        path: "/admin-dashboard/trash",
+        view: "/src/views/event-trash.html",
+        title: "Trash",
+        permission: Action.MANAGE_TRASH,
+        bodyClass: "dashboard-view",
+        navLabel: "Trash",
+        initializer: () => import("./views/event-trash.js"),
+    },
+    {
+        path: "/admin-dashboard/categories",
+        view: "/src/views/event-categories.html",
+        title: "Categories",
+        permission: Action.MANAGE_CATEGORIES,
+        bodyClass: "dashboard-view",
+        navLabel: "Categories",
+        initializer: () => import("./views/event-categories.js"),
+    },
+    {
+        path: "/admin-dashboard/analytics",
+        view: "/src/views/event-analytics.html",
+        title: "Analytics",
+        permission: Action.VIEW_ANALYTICS,
+        bodyClass: "dashboard-view",
+        navLabel: "Analytics",
+        initializer: () => import("./views/event-analytics.js"),
+    },
+    {
+        path: "/admin-dashboard/users",
+        view: "/src/views/user-management.html",
+        title: "Users",
+        permission: Action.MANAGE_USERS,
+        bodyClass: "dashboard-view",
+        navLabel: "Users",
+        initializer: () => import("./views/user-management.js"),
+    },
+    {
+        path: "/admin-dashboard/events/:id/edit",
+        view: "/src/views/admin-dashboard.html",
+        title: "Edit Event",
+        permission: Action.UPDATE_EVENT,
+        bodyClass: "dashboard-view",
+        initializer: () => import("./views/admin-dashboard.js"),
+    },
+    {
+        path: "/admin-dashboard/events/:id/attendees",
+        view: "/src/views/event-roster.html",
+        title: "Attendees",
+        permission: Action.MANAGE_ATTENDEES,
+        bodyClass: "dashboard-view",
+        initializer: () => import("./views/event-roster.js"),
+    },
+    {
+        path: "/admin-dashboard/events/:id/check-in",
+        view: "/src/views/event-check-in.html",
+        title: "Check-in",
+        permission: Action.MANAGE_ATTENDEES,
+        bodyClass: "dashboard-view",
+        initializer: () => import("./views/event-check-in.js"),
+    },
+    {
+        path: "/visitor-dashboard",
+        view: "/src/views/visitor-dashboard.html",
+        title: "My Events",
+        permission: Action.REGISTER,
+        dashboard: true,
+        bodyClass: "dashboard-view",
+        navLabel: "My Events",
+        initializer: () => import("./views/visitor-dashboard.js"),
+    },
+    {
+        // Public route: guests can read the event, but need to log in to register
+        path: "/events/:id",
+        view: "/src/views/event-detail.html",
+        title: "Event Details",
+        bodyClass: "dashboard-view",
+        initializer: () => import("./views/event-detail.js"),
+    },
+];
+
+/**
+ * The route rendered when no other route matches the path.
+ * @type {RouteDefinition}
+ */
+export const notFoundRoute = {
+    path: "/404",
+    view: "/src/views/404.html",
+    title: "Not Found",
+};
@@ -0,0 +1,132 @@
+/**
+ * @file Statistics about events and registrations, shown on the analytics page.
+ * Everything is computed from the events, tickets and users the API already serves,
+ * so the numbers always match what the dashboards show.
+ */
+
+import { isPastEvent } from "./dates.js";
+
+/**
+ * The share of seats taken from which an upcoming event counts as near capacity.
+ * @type {number}
+ */
+export const NEAR_CAPACITY_RATIO = 0.8;
+
+/**
+ * The occupancy of an event: its registrations compared to its capacity.
+ * @typedef {{event: object, registered: number, capacity: number, ratio: number}} Occupancy
+ */
+
+/**
+ * Computes the occupancy of an event.
+ * @param {object} event - The event.
+ * @returns {Occupancy} Its occupancy. An event without seats counts as empty.
+ */
+export function getOccupancy(event) {
+    const registered = event.attendees.length;
+    return { event, registered, capacity: event.capacity, ratio: event.capacity > 0 ? registered / event.capacity : 0 };
+}
+
+/**
+ * Computes the average occupancy of events, each event weighing the same.
+ * @param {object[]} events - The events.
+ * @returns {number} The average ratio, or 0 if there are no events.
+ */
+export function getAverageOccupancy(events) {
+    if (events.length === 0) return 0;
+    return events.reduce((sum, event) => sum + getOccupancy(event).ratio, 0) / events.length;
+}
+
+/**
+ * Lists the upcoming events that are full or almost full.
+ * @param {object[]} events - The events.
+ * @returns {Occupancy[]} The occupancy of each event at or above `NEAR_CAPACITY_RATIO`, fullest first.
+ */
+export function findEventsNearCapacity(events) {
+    return events
+        .filter(event => !isPastEvent(event))
+        .map(getOccupancy)
+        .filter(occupancy => occupancy.ratio >= NEAR_CAPACITY_RATIO)
+        .sort((a, b) => b.ratio - a.ratio);
+}
+
+/**
+ * Ranks locations by their registrations. Locations written with a different case or spacing are grouped,
+ * under the spelling of their first event.
+ * @param {object[]} events - The events.
+ * @param {number} [limit=5] - How many locations to return.
+ * @returns {Array<{location: string, registered: number, events: number}>} The most popular locations first.
+ */
+export function rankLocations(events, limit = 5) {
+    const locations = new Map();
+    events.forEach(event => {
+        const key = event.location.trim().replace(/\s+/g, " ").toLowerCase();
+        const entry = locations.get(key) || { location: event.location.trim(), registered: 0, events: 0 };
+        entry.registered += event.attendees.length;
+        entry.events += 1;
+        locations.set(key, entry);
+    });
+    return [...locations.values()]
+        .sort((a, b) => b.registered - a.registered || b.events - a.events)
+        .slice(0, limit);
+}
+
+/**
+ * Computes the running total of registrations, from the date each ticket was issued.
+ * Only the registrations that still stand are counted, since cancelled ones revoke their ticket.
+ * @param {object[]} tickets - The tickets of the events to count.
+ * @returns {{undated: number, points: Array<{time: number, total: number}>}} The tickets issued before
+ * registration dates were recorded, which make up the starting total, and the total at the end of each day
+ * with registrations, in order.
+ */
+export function getRegistrationTimeline(tickets) {
+    const perDay = new Map();
+    let undated = 0;
+    tickets.forEach(ticket => {
+        const issued = ticket.issuedAt ? new Date(ticket.issuedAt) : null;
+        if (!issued || Number.isNaN(issued.getTime())) {
+            undated += 1;
+            return;
+        }
+        const day = new Date(issued.getFullYear(), issued.getMonth(), issued.getDate()).getTime();
+        perDay.set(day, (perDay.get(day) || 0) + 1);
+    });
+
+    let total = undated;
+    const points = [...perDay.keys()].sort((a, b) => a - b).map(time => {
+        total += perDay.get(time);
+        return { time, total };
+    });
+    return { undated, points };
+}
+
+/**
+ * Computes the no-shows of past events: attendees whose ticket was never checked in.
+ * Only events where check-in took place, i.e. with at least one checked-in ticket, are counted,
+ * since the others say nothing about who came.
+ * @param {object[]} events - The events.
+ * @param {object[]} tickets - Their tickets.
+ * @returns {{events: Array<{event: object, registered: number, checkedIn: number, noShows: number}>,
+ * registered: number, noShows: number, rate: number|null}} The counts of each event, most no-shows first,
+ * their totals, and the share of no-shows, or `null` if no event was checked in yet.
+ */
+export function computeNoShows(events, tickets) {
+    const checkedIn = new Map();
+    tickets.filter(ticket => ticket.checkedInAt).forEach(ticket => {
+        const eventId = String(ticket.eventId);
+        checkedIn.set(eventId, (checkedIn.get(eventId) || 0) + 1);
+    });
+
+    const eventCounts = events
+        .filter(event => isPastEvent(event) && checkedIn.has(String(event.id)))
+        .map(event => {
+            const registered = event.attendees.length;
+            const arrived = Math.min(checkedIn.get(String(event.id)), registered);
+            return { event, registered, checkedIn: arrived, noShows: registered - arrived };
+        })
+        .sort((a, b) => b.noShows - a.noShows);
+
+    const registered = eventCounts.reduce((sum, count) => sum + count.registered, 0);
+    const noShows = eventCounts.reduce((sum, count) => sum + count.noShows, 0);
+    return { events: eventCounts, registered, noShows, rate: registered > 0 ? noShows / registered : null };
+}
@@ -0,0 +1,332 @@
+/**
+ * @file The client the controllers use to talk to the API.
+ * The API's address comes from the `VITE_API_URL` environment variable (see .env.example),
+ * so the app can be pointed at another server without changing the code.
+ * Controllers never show feedback themselves: every request resolves to a result,
+ * `{ ok: true, data }` on success or `{ ok: false, error }` on failure, and the views
+ * decide how to present it (usually with a toast, or next to the form fields for validation errors).
+ */
+
+import { authorizedFetch, AuthorizationError, getCurrentUser } from "../auth.js";
+import { can } from "../permissions.js";
+
+/**
+ * The base URL of the API, without a trailing slash.
+ * @type {string}
+ */
+export const API_BASE_URL = (import.meta.env.VITE_API_URL || "http://localhost:3000").replace(/\/+$/, "");
+
+/**
+ * How long a request may take before it is aborted, in milliseconds.
+ * @type {number}
+ */
+const REQUEST_TIMEOUT = Number(import.meta.env.VITE_API_TIMEOUT) || 10000;
+
+/**
+ * How many times a failed request is tried again, when it is safe to.
+ * @type {number}
+ */
+const MAX_RETRIES = 2;
+
+/**
+ * The delay before the first retry, in milliseconds. It doubles with each retry.
+ * @type {number}
+ */
+const RETRY_DELAY = 500;
+
+/**
+ * The methods whose requests can be sent twice without changing the outcome.
+ * DELETE is left out: this API answers a repeated deletion with a 404.
+ * @type {string[]}
+ */
+const RETRIED_METHODS = ["GET", "HEAD", "OPTIONS", "PUT"];
+
+/**
+ * The statuses of a proxy or gateway failing to reach the API, which are worth a retry.
+ * @type {number[]}
+ */
+const RETRIED_STATUSES = [502, 503, 504];
+
+/**
+ * A failed request, described for the UI.
+ * @typedef {object} ApiError
+ * @property {string} type - One of the `ErrorType` values.
+ * @property {string} message - A user-facing description of the problem.
+ * @property {number} [status] - The HTTP status code, when the API answered.
+ * @property {Object.<string, string>} [fieldErrors] - The invalid fields and their messages, for validation errors.
+ * @property {object} [details] - The rest of the error response, e.g. the ticket of a duplicate check-in.
+ */
+
+/**
+ * The outcome of a controller call. Successful results may carry more information about the data:
+ * `stale` and `savedAt` when it was read from the offline cache, or `queued` when an action was saved
+ * to be sent once the API is reachable again (see utils/offlineStore.js).
+ * @typedef {{ok: true, data: *, stale?: boolean, savedAt?: number, queued?: boolean}|{ok: false, error: ApiError}} Result
+ */
+
+/**
+ * The name of the window event dispatched when the API stops or starts answering.
+ * Its `detail` is `{ online: boolean }`.
+ * @type {string}
+ */
+export const CONNECTION_CHANGE_EVENT = "api-connection-change";
+
+/**
+ * Whether the last request reached the API.
+ * @type {boolean}
+ */
+let apiReachable = true;
+
+/**
+ * The kinds of errors a controller can return.
+ * @enum {string}
+ */
+export const ErrorType = Object.freeze({
+    /** The API rejected the data (400). `fieldErrors` says which fields are invalid. */
+    VALIDATION: "validation",
+    /** There is no valid session (401). */
+    UNAUTHORIZED: "unauthorized",
+    /** The user's role does not allow the action (403). */
+    FORBIDDEN: "forbidden",
+    /** The resource does not exist (404). */
+    NOT_FOUND: "not-found",
+    /** The action conflicts with the current state, e.g. a full event (409). */
+    CONFLICT: "conflict",
+    /** The API could not be reached. */
+    NETWORK: "network",
+    /** Anything else, e.g. a 500. */
+    UNKNOWN: "unknown",
+});
+
+/**
+ * The error type of each HTTP status the API uses.
+ * @type {Object.<number, string>}
+ */
+const STATUS_ERROR_TYPES = {
+    400: ErrorType.VALIDATION,
+    401: ErrorType.UNAUTHORIZED,
+    403: ErrorType.FORBIDDEN,
+    404: ErrorType.NOT_FOUND,
+    409: ErrorType.CONFLICT,
+};
+
+/**
+ * Builds the full URL of an API endpoint, e.g. for links the browser opens itself.
+ * @param {string} path - The path of the endpoint, starting with a slash.
+ * @returns {string} The URL.
+ */
+export function apiUrl(path) {
+    return `${API_BASE_URL}${path}`;
+}
+
+/**
+ * Builds a successful result.
+ * @param {*} data - The data the caller asked for.
+ * @param {object} [extra] - More properties of the result (`stale`, `savedAt`, `queued`).
+ * @returns {Result} The result.
+ */
+export function success(data, extra = {}) {
+    return { ok: true, data, ...extra };
+}
+
+/**
+ * Builds a failed result.
+ * @param {string} type - One of the `ErrorType` values.
+ * @param {string} message - A user-facing description of the problem.
+ * @param {object} [extra] - More properties of the error (`status`, `fieldErrors`, `details`).
+ * @returns {Result} The result.
+ */
+export function failure(type, message, extra = {}) {
+    return { ok: false, error: { type, message, ...extra } };
+}
+
+/**
+ * Checks that the logged-in user may perform an action (see permissions.js),
+ * so controllers can stop before sending a request the API would refuse.
+ * @param {string} action - One of the `Action` values.
+ * @param {object} [resource] - The resource acted on, when it is at hand. The API checks it in any case.
+ * @returns {Result|null} A failed result, with `ErrorType.UNAUTHORIZED` when nobody is logged in
+ * or `ErrorType.FORBIDDEN` when the action isn't allowed, or `null` if it is.
+ */
+export function checkPermission(action, resource) {
+    const user = getCurrentUser();
+    if (!user) return failure(ErrorType.UNAUTHORIZED, "Please log in to continue.");
+    if (!can(user, action, resource)) return failure(ErrorType.FORBIDDEN, "You do not have permission to perform this action.");
+    return null;
+}
+
+/**
+ * Builds the failed result of a request the API answered with an error status.
+ * The custom routes describe errors with a JSON body of the form `{ error: "...", errors: { field: "..." } }`.
+ * @param {Response} response - The failed fetch response.
+ * @param {string} fallbackMessage - The message to use if the response doesn't include one.
+ * @returns {Promise<Result>} The result.
+ */
+async function failureFromResponse(response, fallbackMessage) {
+    let body = {};
+    try {
+        body = await response.json();
+    } catch {
+        // Not every error response has a JSON body
+    }
+    const { error, errors, ...details } = body || {};
+    return failure(STATUS_ERROR_TYPES[response.status] || ErrorType.UNKNOWN, error || fallbackMessage, {
+        status: response.status,
+        fieldErrors: errors,
+        details,
+    });
+}
+
+/**
+ * Builds the failed result of a request that threw before getting a usable response.
+ * Unexpected errors are also logged for debugging.
+ * @param {Error} error - The error that was caught.
+ * @param {string} fallbackMessage - The message to show for unexpected errors.
+ * @returns {Result} The result.
+ */
+function failureFromError(error, fallbackMessage) {
+    if (error instanceof AuthorizationError) {
+        const type = error.status === 401 ? ErrorType.UNAUTHORIZED : ErrorType.FORBIDDEN;
+        return failure(type, error.message, { status: error.status });
+    }
+    console.error(fallbackMessage, error);
+    if (error?.name === "AbortError") {
+        return failure(ErrorType.NETWORK, "The server took too long to answer. Please try again.");
+    }
+    // fetch rejects with a TypeError when the server can't be reached
+    if (error instanceof TypeError) {
+        return failure(ErrorType.NETWORK, "The server could not be reached. Please check your connection and try again.");
+    }
+    return failure(ErrorType.UNKNOWN, fallbackMessage);
+}
+
+/**
+ * Records whether the API answered, and lets the app know when that changes.
+ * The browser's own online/offline events miss the API being down while the network works.
+ * @param {boolean} reachable - Whether the last request got a response.
+ */
+function reportReachability(reachable) {
+    if (reachable === apiReachable) return;
+    apiReachable = reachable;
+    window.dispatchEvent(new CustomEvent(CONNECTION_CHANGE_EVENT, { detail: { online: reachable } }));
+}
+
+/**
+ * Tells whether the last request reached the API.
+ * @returns {boolean} False after a request failed because the API could not be reached.
+ */
+export function isApiReachable() {
+    return apiReachable;
+}
+
+/**
+ * Waits before the next attempt of a request.
+ * @param {number} attempt - How many attempts failed so far, from 1.
+ * @returns {Promise<void>} Resolves after `RETRY_DELAY` doubled for each earlier attempt, plus some jitter
+ * so that clients failing together don't retry together.
+ */
+function waitBeforeRetry(attempt) {
+    const delay = RETRY_DELAY * 2 ** (attempt - 1) + Math.random() * RETRY_DELAY;
+    return new Promise(resolve => setTimeout(resolve, delay));
+}
+
+/**
+ * Tells whether a request failed without reaching the API, or reaching it in time.
+ * @param {Error} error - The error thrown by `fetch`.
+ * @returns {boolean} True for network errors and timeouts.
+ */
+function isConnectionError(error) {
+    // fetch rejects with a TypeError when the server can't be reached, and an AbortError on timeout
+    return error instanceof TypeError || error?.name === "AbortError";
+}
+
+/**
+ * Sends one attempt of a request, aborting it if the API takes longer than `timeout` to answer.
+ * The timeout also covers reading the body, so a response that stalls midway is aborted too.
+ * @param {string} url - The URL to request.
+ * @param {object} options - The `fetch` options.
+ * @param {object} config
+ * @param {boolean} config.auth - Whether to send the session token (see `authorizedFetch`).
+ * @param {number} config.timeout - How long to wait, in milliseconds.
+ * @param {(response: Response) => Promise<*>} config.readData - Reads the data of a successful response.
+ * @returns {Promise<{response: Response, data?: *}>} The response, and its data if it was successful.
+ */
+async function attemptRequest(url, options, { auth, timeout, readData }) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeout);
+    try {
+        const send = auth ? authorizedFetch : fetch;
+        const response = await send(url, { ...options, signal: controller.signal });
+        if (!response.ok) return { response };
+        return { response, data: await readData(response) };
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+/**
+ * Sends a request to the API and turns the outcome into a result. Every controller goes through here,
+ * so the base URL, the session token, timeouts and retries are handled the same way everywhere.
+ * Requests that can safely be sent twice (`RETRIED_METHODS`) are tried again, with a growing delay,
+ * when the API can't be reached, doesn't answer in time or answers with a gateway error.
+ * @param {string} path - The path of the endpoint, with its query string, e.g. `/events?_page=1`.
+ * @param {object} [config]
+ * @param {string} [config.method="GET"] - The HTTP method.
+ * @param {object} [config.body] - The data to send as JSON.
+ * @param {boolean} [config.auth=true] - Whether to send the session token. Without it, a 401 is returned
+ * as an error instead of ending the session, which is what the login needs.
+ * @param {number} [config.timeout=REQUEST_TIMEOUT] - How long to wait for each attempt, in milliseconds.
+ * @param {number} [config.retries] - How many times to try again. Defaults to `MAX_RETRIES`
+ * for the methods in `RETRIED_METHODS`, and to none for the others.
+ * @param {string} config.errorMessage - The message shown if the request fails without a more specific one.
+ * @param {(response: Response) => Promise<*>} [config.readData] - Reads the data of a successful response.
+ * Defaults to parsing the JSON body.
+ * @returns {Promise<Result>} The result.
+ */
+export async function apiRequest(path, {
+    method = "GET",
+    body,
+    auth = true,
+    timeout = REQUEST_TIMEOUT,
+    retries = RETRIED_METHODS.includes(method) ? MAX_RETRIES : 0,
+    errorMessage,
+    readData = response => response.json(),
+} = {}) {
+    const options = { method };
+    if (body !== undefined) {
+        options.headers = { "Content-Type": "application/json" };
+        options.body = JSON.stringify(body);
+    }
+
+    for (let attempt = 1; ; attempt++) {
+        const canRetry = attempt <= retries;
+        try {
+            const { response, data } = await attemptRequest(apiUrl(path), options, { auth, timeout, readData });
+            reportReachability(true);
+            if (response.ok) return success(data);
+            if (canRetry && RETRIED_STATUSES.includes(response.status)) {
+                await waitBeforeRetry(attempt);
+                continue;
+            }
+            return failureFromResponse(response, errorMessage);
+        } catch (error) {
+            if (!isConnectionError(error)) return failureFromError(error, errorMessage);
+            if (canRetry) {
+                await waitBeforeRetry(attempt);
+                continue;
+            }
+            reportReachability(false);
+            return failureFromError(error, errorMessage);
+        }
+    }
+}
+
+/**
+ * Escapes the characters that have a special meaning in regular expressions,
+ * since json-server evaluates `_like` filters as regular expressions.
+ * @param {string} text - The raw text.
+ * @returns {string} The escaped text.
+ */
+export function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
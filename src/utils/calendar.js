@@ -0,0 +1,46 @@
+/**
+ * @file UI helpers to get events into the user's own calendar app.
+ */
+
+import { getEventCalendarUrl, getCalendarFeedUrl } from "../controllers/eventController.js";
+import { notifyError } from "./notifications.js";
+import { html } from "./html.js";
+
+/**
+ * Builds the "Add to calendar" link of an event, which downloads it as an .ics file.
+ * @param {object} event - The event object.
+ * @returns {import("./html.js").SafeHtml} The link's markup.
+ */
+export function renderCalendarLink(event) {
+    return html`<a class="calendar-link" href="${getEventCalendarUrl(event.id)}" download>Add to calendar</a>`;
+}
+
+/**
+ * Wires up the "Subscribe" button of the calendar feed panel.
+ * The feed URL is only requested when the user asks for it, and is then shown
+ * both as text to copy and as a webcal:// link that opens the system calendar app.
+ * @param {HTMLElement} panel - The element containing the `.calendar-feed-btn` button,
+ * the hidden `.calendar-feed-details` block, its `.calendar-feed-url` input and `.calendar-feed-link` link.
+ */
+export function bindCalendarFeedPanel(panel) {
+    const button = panel.querySelector(".calendar-feed-btn");
+    const details = panel.querySelector(".calendar-feed-details");
+    const urlInput = panel.querySelector(".calendar-feed-url");
+    const webcalLink = panel.querySelector(".calendar-feed-link");
+    if (!button || !details || !urlInput || !webcalLink) return;
+
+    button.addEventListener("click", async () => {
+        const result = await getCalendarFeedUrl();
+        if (!result.ok) {
+            notifyError(result.error);
+            return;
+        }
+        const url = result.data;
+
+        urlInput.value = url;
+        webcalLink.href = url.replace(/^https?:/, "webcal:");
+        details.hidden = false;
+        button.hidden = true;
+        urlInput.select();
+    });
+}
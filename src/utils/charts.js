@@ -0,0 +1,124 @@
+/**
+ * @file Minimal SVG charts, without any charting library.
+ * Charts are built with the `html` template, so labels coming from the API are escaped like any other text.
+ * They are drawn in a fixed coordinate system and scaled to their container through the viewBox;
+ * their colors are set in style.css.
+ */
+
+import { html } from "./html.js";
+
+/**
+ * The dimensions of horizontal bar charts, in viewBox units.
+ * @type {{width: number, rowHeight: number, barHeight: number, labelWidth: number, valueWidth: number}}
+ */
+const BAR_CHART = { width: 640, rowHeight: 28, barHeight: 18, labelWidth: 200, valueWidth: 80 };
+
+/**
+ * The dimensions of line charts, in viewBox units, and the room left around the plot for the axis labels.
+ * @type {{width: number, height: number, padding: {top: number, right: number, bottom: number, left: number}}}
+ */
+const LINE_CHART = { width: 640, height: 240, padding: { top: 16, right: 24, bottom: 32, left: 48 } };
+
+/**
+ * The longest label drawn next to a bar, in characters. Longer ones are cut, and shown in full on hover.
+ * @type {number}
+ */
+const MAX_LABEL_LENGTH = 28;
+
+/**
+ * Rounds a coordinate, to keep the markup short.
+ * @param {number} value - The coordinate.
+ * @returns {number} The coordinate, rounded to one decimal.
+ */
+function round(value) {
+    return Math.round(value * 10) / 10;
+}
+
+/**
+ * Shortens a label that wouldn't fit next to its bar.
+ * @param {string} label - The label.
+ * @returns {string} The label, cut with an ellipsis if needed.
+ */
+function truncate(label) {
+    return label.length > MAX_LABEL_LENGTH ? `${label.slice(0, MAX_LABEL_LENGTH - 1)}…` : label;
+}
+
+/**
+ * Draws a horizontal bar chart, one row per item.
+ * @param {Array<{label: string, value: number, className?: string}>} items - The bars, from top to bottom.
+ * `className` is added to the bar's row, e.g. to color it.
+ * @param {object} options
+ * @param {string} options.label - The accessible name of the chart.
+ * @param {number} [options.max] - The value of a full-width bar. Defaults to the largest value; larger values are capped.
+ * @param {(value: number) => string} [options.formatValue=String] - Formats the value written after each bar.
+ * @returns {import("./html.js").SafeHtml} The SVG element.
+ */
+export function renderBarChart(items, { label, max = Math.max(...items.map(item => item.value), 1), formatValue = String }) {
+    const { width, rowHeight, barHeight, labelWidth, valueWidth } = BAR_CHART;
+    const trackWidth = width - labelWidth - valueWidth;
+    const height = Math.max(items.length, 1) * rowHeight;
+
+    const rows = items.map((item, index) => {
+        const y = index * rowHeight;
+        const barWidth = round(trackWidth * Math.min(Math.max(item.value, 0) / max, 1));
+        const barY = round(y + (rowHeight - barHeight) / 2);
+        const textY = round(y + rowHeight / 2);
+        return html`
+            <g class="chart-row ${item.className || ""}">
+                <title>${item.label}: ${formatValue(item.value)}</title>
+                <text class="chart-label" x="${labelWidth - 8}" y="${textY}" text-anchor="end" dominant-baseline="middle">${truncate(item.label)}</text>
+                <rect class="chart-track" x="${labelWidth}" y="${barY}" width="${trackWidth}" height="${barHeight}" rx="3"></rect>
+                <rect class="chart-bar" x="${labelWidth}" y="${barY}" width="${barWidth}" height="${barHeight}" rx="3"></rect>
+                <text class="chart-value" x="${labelWidth + barWidth + 6}" y="${textY}" dominant-baseline="middle">${formatValue(item.value)}</text>
+            </g>
+        `;
+    });
+
+    return html`<svg class="chart" viewBox="0 0 ${width} ${height}" role="img" aria-label="${label}">${rows}</svg>`;
+}
+
+/**
+ * Draws a line chart of values over time, with the first and last times and the value range on the axes.
+ * @param {Array<{time: number, value: number}>} points - The points, in chronological order, with `time` in milliseconds.
+ * @param {object} options
+ * @param {string} options.label - The accessible name of the chart.
+ * @param {(time: number) => string} [options.formatTime] - Formats the times on the horizontal axis and in the tooltips.
+ * Defaults to the local date.
+ * @param {(value: number) => string} [options.formatValue=String] - Formats the values.
+ * @returns {import("./html.js").SafeHtml} The SVG element.
+ */
+export function renderLineChart(points, { label, formatTime = time => new Date(time).toLocaleDateString(), formatValue = String }) {
+    const { width, height, padding } = LINE_CHART;
+    const plotWidth = width - padding.left - padding.right;
+    const plotHeight = height - padding.top - padding.bottom;
+    const bottom = padding.top + plotHeight;
+
+    const firstTime = points[0]?.time ?? 0;
+    const lastTime = points[points.length - 1]?.time ?? 0;
+    const maxValue = Math.max(...points.map(point => point.value), 1);
+    // A single day is drawn in the middle rather than on the axis
+    const x = time => round(lastTime > firstTime ? padding.left + plotWidth * (time - firstTime) / (lastTime - firstTime) : padding.left + plotWidth / 2);
+    const y = value => round(bottom - plotHeight * value / maxValue);
+
+    const line = points.map(point => `${x(point.time)},${y(point.value)}`).join(" ");
+    const dots = points.map(point => html`
+        <circle class="chart-dot" cx="${x(point.time)}" cy="${y(point.value)}" r="3">
+            <title>${formatTime(point.time)}: ${formatValue(point.value)}</title>
+        </circle>
+    `);
+
+    return html`
+        <svg class="chart" viewBox="0 0 ${width} ${height}" role="img" aria-label="${label}">
+            <line class="chart-axis" x1="${padding.left}" y1="${bottom}" x2="${width - padding.right}" y2="${bottom}"></line>
+            <line class="chart-axis" x1="${padding.left}" y1="${padding.top}" x2="${padding.left}" y2="${bottom}"></line>
+            <text class="chart-label" x="${padding.left - 8}" y="${padding.top}" text-anchor="end" dominant-baseline="middle">${formatValue(maxValue)}</text>
+            <text class="chart-label" x="${padding.left - 8}" y="${bottom}" text-anchor="end" dominant-baseline="middle">${formatValue(0)}</text>
+            ${points.length > 0 ? html`
+                <text class="chart-label" x="${padding.left}" y="${height - 8}">${formatTime(firstTime)}</text>
+                <text class="chart-label" x="${width - padding.right}" y="${height - 8}" text-anchor="end">${lastTime > firstTime ? formatTime(lastTime) : ""}</text>
+            ` : ""}
+            <polyline class="chart-line" points="${line}"></polyline>
+            ${dots}
+        </svg>
+    `;
+}
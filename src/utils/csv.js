@@ -0,0 +1,99 @@
+/**
+ * @file Minimal CSV (RFC 4180) reading and writing, as exported and read by spreadsheet apps.
+ * Fields may be quoted with double quotes, and quoted fields may contain commas, line breaks
+ * and escaped quotes (`""`).
+ */
+
+/**
+ * Parses CSV text into records, using the first row as the header.
+ * Header names are trimmed, and blank lines are skipped.
+ * The `'` that `toCsv` puts before formulas is removed, so exported values read back as they were.
+ * @param {string} text - The CSV content.
+ * @returns {Object.<string, string>[]} One object per data row, keyed by header name.
+ */
+export function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = "";
+    let inQuotes = false;
+
+    // Spreadsheet apps often prepend a byte order mark
+    const content = text.replace(/^\uFEFF/, "");
+    for (let i = 0; i < content.length; i++) {
+        const char = content[i];
+        if (inQuotes) {
+            if (char === '"' && content[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ",") {
+            row.push(field);
+            field = "";
+        } else if (char === "\n" || char === "\r") {
+            if (char === "\r" && content[i + 1] === "\n") i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = "";
+        } else {
+            field += char;
+        }
+    }
+    if (field !== "" || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    const nonEmptyRows = rows.filter(cells => cells.some(cell => cell.trim() !== ""));
+    if (nonEmptyRows.length === 0) return [];
+
+    const [header, ...dataRows] = nonEmptyRows;
+    const keys = header.map(name => name.trim());
+    return dataRows.map(cells => Object.fromEntries(keys.map((key, index) => [key, unguardFormula(cells[index] ?? "")])));
+}
+
+/**
+ * The characters that make spreadsheet apps read a cell as a formula, e.g. `=HYPERLINK(...)`.
+ * Text that already starts with quotes before them is guarded too, so removing one quote always gives it back.
+ * @type {RegExp}
+ */
+const FORMULA_START = /^'*[=+\-@\t\r]/;
+
+/**
+ * Removes the `'` that `toCsvField` puts before a formula.
+ * @param {string} text - The field's text.
+ * @returns {string} The text as it was exported.
+ */
+function unguardFormula(text) {
+    return text.startsWith("'") && FORMULA_START.test(text) ? text.slice(1) : text;
+}
+
+/**
+ * Quotes a value for CSV if it contains a separator, a quote or a line break.
+ * Text that a spreadsheet app would run as a formula is prefixed with `'`, so it is shown as typed.
+ * Numbers are written as they are, so negative ones stay numbers.
+ * @param {*} value - The value to write.
+ * @returns {string} The CSV field.
+ */
+function toCsvField(value) {
+    let text = String(value ?? "");
+    if (typeof value === "string" && FORMULA_START.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Serializes records as CSV, with a header row.
+ * @param {object[]} records - The records to write.
+ * @param {string[]} columns - The properties to write, in order. They are also used as the header.
+ * @returns {string} The CSV content, with CRLF line breaks.
+ */
+export function toCsv(records, columns) {
+    const lines = [columns, ...records.map(record => columns.map(column => record[column]))];
+    return lines.map(cells => cells.map(toCsvField).join(",")).join("\r\n") + "\r\n";
+}
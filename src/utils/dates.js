@@ -0,0 +1,126 @@
+/**
+ * @file Date, time and timezone helpers for events.
+ * Events store `start` and `end` as UTC ISO instants (e.g. "2026-01-21T01:00:00.000Z"),
+ * which can be compared as plain text, and a `timezone` (an IANA name such as "America/Bogota")
+ * in which their times are entered and displayed.
+ * The API imports them too, so the app and the server agree on what counts as past.
+ */
+
+/**
+ * Timezones offered when the browser can't list the ones it supports.
+ * @type {string[]}
+ */
+const FALLBACK_TIMEZONES = ["UTC", "America/Bogota", "America/Mexico_City", "America/New_York", "America/Los_Angeles", "Europe/Madrid", "Europe/London"];
+
+/**
+ * Returns the user's own timezone.
+ * @returns {string} The IANA name of the browser's timezone.
+ */
+export function getDefaultTimeZone() {
+    return Intl.DateTimeFormat().resolvedOptions().timeZone || "UTC";
+}
+
+/**
+ * Returns the timezones an event can be created in.
+ * @returns {string[]} IANA timezone names.
+ */
+export function getTimeZones() {
+    return typeof Intl.supportedValuesOf === "function" ? Intl.supportedValuesOf("timeZone") : FALLBACK_TIMEZONES;
+}
+
+/**
+ * Computes how far ahead of UTC a timezone is at a given instant (negative when behind).
+ * @param {number} timestamp - The instant, in milliseconds since the epoch.
+ * @param {string} timeZone - The IANA timezone name.
+ * @returns {number} The offset in milliseconds.
+ */
+function getTimeZoneOffset(timestamp, timeZone) {
+    const parts = new Intl.DateTimeFormat("en-US", {
+        timeZone,
+        hourCycle: "h23",
+        year: "numeric", month: "2-digit", day: "2-digit",
+        hour: "2-digit", minute: "2-digit", second: "2-digit",
+    }).formatToParts(new Date(timestamp));
+    const values = Object.fromEntries(parts.map(part => [part.type, Number(part.value)]));
+    const wallClockAsUtc = Date.UTC(values.year, values.month - 1, values.day, values.hour, values.minute, values.second);
+    return wallClockAsUtc - Math.floor(timestamp / 1000) * 1000;
+}
+
+/**
+ * Converts a wall-clock date and time in a timezone to a UTC instant.
+ * @param {string} localDateTime - The wall-clock time as YYYY-MM-DDTHH:mm (the value of a datetime-local input).
+ * @param {string} timeZone - The IANA timezone the time is expressed in.
+ * @returns {string} The UTC instant as an ISO string.
+ */
+export function zonedTimeToUtc(localDateTime, timeZone) {
+    const wallClockAsUtc = Date.parse(`${localDateTime}Z`);
+    let timestamp = wallClockAsUtc - getTimeZoneOffset(wallClockAsUtc, timeZone);
+    // Around daylight saving changes the offset at the result may differ from the first guess
+    const correctedOffset = getTimeZoneOffset(timestamp, timeZone);
+    timestamp = wallClockAsUtc - correctedOffset;
+    return new Date(timestamp).toISOString();
+}
+
+/**
+ * Converts a UTC instant to the wall-clock time of a timezone, e.g. to fill a datetime-local input.
+ * @param {string} isoString - The UTC instant as an ISO string.
+ * @param {string} timeZone - The IANA timezone to express the time in.
+ * @returns {string} The wall-clock time as YYYY-MM-DDTHH:mm.
+ */
+export function utcToZonedTime(isoString, timeZone) {
+    const timestamp = Date.parse(isoString);
+    return new Date(timestamp + getTimeZoneOffset(timestamp, timeZone)).toISOString().slice(0, 16);
+}
+
+/**
+ * Converts a calendar date picked by the user (in their own timezone) to a UTC instant.
+ * @param {string} date - The date as YYYY-MM-DD.
+ * @param {boolean} [endOfDay=false] - If true, returns the last millisecond of that day instead of its start.
+ * @returns {string} The UTC instant as an ISO string.
+ */
+export function localDateToUtc(date, endOfDay = false) {
+    return new Date(`${date}T${endOfDay ? "23:59:59.999" : "00:00:00"}`).toISOString();
+}
+
+/**
+ * Formats an event's start and end in the user's locale, in the event's own timezone.
+ * Same-day events only show the date once (e.g. "Jan 20, 2026, 8:00 PM – 11:00 PM GMT-5").
+ * @param {object} event - The event object.
+ * @returns {string} The formatted date range.
+ */
+export function formatEventDateRange(event) {
+    const formatter = new Intl.DateTimeFormat(undefined, {
+        timeZone: event.timezone,
+        year: "numeric", month: "short", day: "numeric",
+        hour: "numeric", minute: "2-digit",
+        timeZoneName: "short",
+    });
+    const start = new Date(event.start);
+    const end = new Date(event.end);
+    return typeof formatter.formatRange === "function"
+        ? formatter.formatRange(start, end)
+        : `${formatter.format(start)} – ${formatter.format(end)}`;
+}
+
+/**
+ * Checks whether an event has already ended. Events in progress are not past yet.
+ * @param {object} event - The event object.
+ * @returns {boolean} True if the event's end is before now.
+ */
+export function isPastEvent(event) {
+    return Date.parse(event.end) < Date.now();
+}
+
+/**
+ * Finds the events whose time range overlaps with another event's.
+ * @param {object} event - The event to check.
+ * @param {Array} otherEvents - The events to compare against. The event itself is ignored if included.
+ * @returns {Array} The overlapping events.
+ */
+export function findOverlappingEvents(event, otherEvents) {
+    const start = Date.parse(event.start);
+    const end = Date.parse(event.end);
+    return otherEvents.filter(other => other.id !== event.id
+        && Date.parse(other.start) < end
+        && start < Date.parse(other.end));
+}
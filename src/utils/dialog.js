@@ -0,0 +1,57 @@
+/**
+ * @file Modal confirmation dialogs, for actions that are worth a second thought.
+ * They use the native `<dialog>` element, which traps the focus and closes with Escape.
+ */
+
+/**
+ * Asks the user to confirm an action in a modal dialog.
+ * @param {object} options
+ * @param {string} options.title - The question, e.g. "Delete this event?".
+ * @param {string[]} [options.details=[]] - Paragraphs explaining the consequences.
+ * @param {string} [options.confirmLabel="Confirm"] - The label of the confirm button.
+ * @param {string} [options.cancelLabel="Cancel"] - The label of the cancel button.
+ * @param {boolean} [options.danger=false] - Whether the action is destructive, which styles the confirm button accordingly.
+ * @returns {Promise<boolean>} Resolves to `true` if the user confirmed, `false` if they cancelled or pressed Escape.
+ */
+export function confirmDialog({ title, details = [], confirmLabel = "Confirm", cancelLabel = "Cancel", danger = false }) {
+    const dialog = document.createElement("dialog");
+    dialog.className = "confirm-dialog";
+    dialog.setAttribute("aria-labelledby", "confirm-dialog-title");
+
+    // Built from elements rather than HTML, since the texts may include user content such as event titles
+    const heading = document.createElement("h2");
+    heading.id = "confirm-dialog-title";
+    heading.textContent = title;
+    const paragraphs = details.map(detail => {
+        const paragraph = document.createElement("p");
+        paragraph.textContent = detail;
+        return paragraph;
+    });
+
+    const form = document.createElement("form");
+    form.method = "dialog";
+    form.className = "actions";
+    const cancelButton = document.createElement("button");
+    cancelButton.value = "cancel";
+    cancelButton.className = "cancel-btn";
+    cancelButton.textContent = cancelLabel;
+    const confirmButton = document.createElement("button");
+    confirmButton.value = "confirm";
+    if (danger) confirmButton.className = "delete-btn";
+    else confirmButton.type = "submit"; // Styled as the primary action
+    confirmButton.textContent = confirmLabel;
+    form.append(cancelButton, confirmButton);
+
+    dialog.append(heading, ...paragraphs, form);
+    document.body.appendChild(dialog);
+
+    return new Promise(resolve => {
+        dialog.addEventListener("close", () => {
+            resolve(dialog.returnValue === "confirm");
+            dialog.remove();
+        });
+        dialog.showModal();
+        // Start on the safe choice, so pressing Enter by habit doesn't confirm
+        cancelButton.focus();
+    });
+}
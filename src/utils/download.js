@@ -0,0 +1,18 @@
+/**
+ * @file Helper to save data generated or fetched by the app as a file on the user's device.
+ */
+
+/**
+ * Makes the browser download a file.
+ * @param {Blob} blob - The file contents.
+ * @param {string} fileName - The suggested file name, including its extension.
+ */
+export function downloadFile(blob, fileName) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = fileName;
+    link.click();
+    // The download has started by now, so the object URL can be released
+    URL.revokeObjectURL(url);
+}
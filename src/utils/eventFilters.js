@@ -0,0 +1,142 @@
+/**
+ * @file Search, filter and sort helpers for the event lists on both dashboards.
+ * The filter state lives in the URL query string (e.g. `?q=concert&availability=available&sort=title`),
+ * so filtered views can be shared and survive a reload. The filtering itself happens on the server.
+ */
+
+import { localDateToUtc } from "./dates.js";
+import { html, setHtml } from "./html.js";
+
+/**
+ * The query string parameters that hold the filter state.
+ * @type {string[]}
+ */
+const FILTER_KEYS = ["q", "from", "to", "location", "category", "availability", "status", "sort"];
+
+/**
+ * The sort applied when the URL doesn't specify one.
+ * @type {string}
+ */
+const DEFAULT_SORT = "date";
+
+/**
+ * Reads the current filters from the URL query string.
+ * @returns {Object.<string, string>} The filter values, keyed by `FILTER_KEYS`. Missing ones are empty strings.
+ */
+export function readFiltersFromUrl() {
+    const searchParams = new URLSearchParams(window.location.search);
+    const filters = {};
+    FILTER_KEYS.forEach(key => {
+        filters[key] = searchParams.get(key) || "";
+    });
+    if (!filters.sort) filters.sort = DEFAULT_SORT;
+    return filters;
+}
+
+/**
+ * Writes the filters to the URL query string, leaving out empty values and the default sort.
+ * `replaceState` is used so typing in the search box doesn't flood the browser history.
+ * @param {Object.<string, string>} filters - The filter values.
+ */
+function writeFiltersToUrl(filters) {
+    const searchParams = new URLSearchParams();
+    FILTER_KEYS.forEach(key => {
+        const value = filters[key];
+        if (value && !(key === "sort" && value === DEFAULT_SORT)) searchParams.set(key, value);
+    });
+    const query = searchParams.toString();
+    window.history.replaceState({}, "", `${window.location.pathname}${query ? `?${query}` : ""}`);
+}
+
+/**
+ * The server-side sort field and order for each sort option of the toolbar.
+ * @type {Object.<string, {sort: string, order: string}>}
+ */
+const SORT_OPTIONS = {
+    "date": { sort: "start", order: "asc" },
+    "-date": { sort: "start", order: "desc" },
+    "title": { sort: "title", order: "asc" },
+    "seats": { sort: "seatsLeft", order: "desc" },
+};
+
+/**
+ * Translates the toolbar filters into the query options accepted by `getAllEvents`,
+ * so filtering and sorting happen on the server together with the pagination.
+ * @param {Object.<string, string>} filters - The filter values, as returned by `readFiltersFromUrl`.
+ * @param {object} [user] - The current user, required by the "registered" availability filter.
+ * @returns {object} The query options.
+ */
+export function toQueryOptions(filters, user) {
+    const options = {
+        ...(SORT_OPTIONS[filters.sort] || SORT_OPTIONS[DEFAULT_SORT]),
+        q: filters.q.trim(),
+        location: filters.location.trim(),
+    };
+    // The date range is picked in the user's timezone and covers whole days
+    if (filters.from) options.startFrom = localDateToUtc(filters.from);
+    if (filters.to) options.startTo = localDateToUtc(filters.to, true);
+    if (filters.category) options.category = filters.category;
+
+    // "upcoming" events haven't ended yet; "archived" ones have
+    const now = new Date().toISOString();
+    if (filters.status === "upcoming") options.endFrom = now;
+    if (filters.status === "archived") options.endTo = now;
+
+    if (filters.availability === "registered") {
+        if (user) options.attendeeId = user.id;
+    } else {
+        options.availability = filters.availability;
+    }
+    return options;
+}
+
+/**
+ * Adds the locations of newly loaded events to the location suggestions of the toolbar.
+ * @param {HTMLFormElement} form - The filter toolbar form.
+ * @param {Array} events - The newly loaded events.
+ */
+export function updateLocationOptions(form, events) {
+    const datalist = form.querySelector("datalist");
+    if (!datalist) return;
+
+    const knownLocations = [...datalist.options].map(option => option.value);
+    const locations = [...new Set([...knownLocations, ...events.map(event => event.location)])].sort();
+    setHtml(datalist, locations.map(location => html`<option value="${location}"></option>`));
+}
+
+/**
+ * Connects a filter toolbar form to the URL.
+ * The form is filled from the current query string, and every change is written back
+ * to the URL before `onChange` is called with the new filters.
+ * @param {HTMLFormElement} form - The filter toolbar form. Its field names must match `FILTER_KEYS`.
+ * @param {(filters: Object.<string, string>) => void} onChange - Called whenever the filters change.
+ * @returns {Object.<string, string>} The initial filters.
+ */
+export function bindFilterToolbar(form, onChange) {
+    const filters = readFiltersFromUrl();
+    FILTER_KEYS.forEach(key => {
+        if (form.elements[key]) form.elements[key].value = filters[key];
+    });
+
+    const emitChange = () => {
+        const newFilters = {};
+        FILTER_KEYS.forEach(key => {
+            newFilters[key] = form.elements[key] ? form.elements[key].value : "";
+        });
+        writeFiltersToUrl(newFilters);
+        onChange(newFilters);
+    };
+
+    form.addEventListener("input", emitChange);
+    form.addEventListener("submit", event => event.preventDefault()); // Pressing Enter shouldn't reload the page
+
+    const clearButton = form.querySelector(".clear-filters-btn");
+    if (clearButton) {
+        clearButton.addEventListener("click", () => {
+            form.reset();
+            emitChange();
+        });
+    }
+
+    return filters;
+}
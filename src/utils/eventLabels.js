@@ -0,0 +1,62 @@
+/**
+ * @file UI helpers for what tells events apart at a glance: their category, tags and cover image.
+ * Categories live in their own collection, so the views load them once with `loadCategories`
+ * and look up each event's category by ID when rendering it.
+ */
+
+import { getCategories } from "../controllers/categoryController.js";
+import { notifyError } from "./notifications.js";
+import { html } from "./html.js";
+
+/**
+ * Fetches the categories, to render the events' chips and fill the category selects.
+ * A failure is reported to the user, and the events are then shown without their category.
+ * @returns {Promise<Map<string, object>>} The categories `{ id, name, color }` by ID, sorted by name.
+ */
+export async function loadCategories() {
+    const result = await getCategories();
+    if (!result.ok) {
+        notifyError(result.error);
+        return new Map();
+    }
+    return new Map(result.data.map(category => [String(category.id), category]));
+}
+
+/**
+ * Fills a select with one option per category, after its empty "any" or "none" option.
+ * @param {HTMLSelectElement} select - The select to fill.
+ * @param {Map<string, object>} categories - The categories, as returned by `loadCategories`.
+ */
+export function fillCategoryOptions(select, categories) {
+    select.querySelectorAll("option:not([value=''])").forEach(option => option.remove());
+    categories.forEach(category => select.add(new Option(category.name, category.id)));
+}
+
+/**
+ * Builds the chips of an event: its category, in the category's color, followed by its tags.
+ * @param {object} event - The event object.
+ * @param {Map<string, object>} categories - The categories, as returned by `loadCategories`.
+ * @returns {import("./html.js").SafeHtml|string} The chips' markup, or an empty string if the event has none.
+ */
+export function renderEventChips(event, categories) {
+    const category = categories.get(String(event.category));
+    const tags = event.tags || [];
+    if (!category && tags.length === 0) return "";
+
+    return html`
+        <ul class="chips" aria-label="Category and tags">
+            ${category ? html`<li class="chip category-chip" style="--chip-color: ${category.color}">${category.name}</li>` : ""}
+            ${tags.map(tag => html`<li class="chip">#${tag}</li>`)}
+        </ul>
+    `;
+}
+
+/**
+ * Builds the cover image of an event. It is decorative, since the title is always shown next to it.
+ * @param {object} event - The event object.
+ * @returns {import("./html.js").SafeHtml|string} The image's markup, or an empty string if the event has none.
+ */
+export function renderEventCover(event) {
+    if (!event.image) return "";
+    return html`<img class="event-cover" src="${event.image}" alt="" loading="lazy">`;
+}
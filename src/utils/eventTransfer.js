@@ -0,0 +1,117 @@
+/**
+ * @file Bulk import and export of events as CSV or JSON files.
+ * Imported rows use the same fields as the Event model: `title`, `description`, `location`,
+ * `start`, `end`, `timezone`, `capacity` and, optionally, `tags` as a comma-separated list. `start` and `end` can be UTC instants
+ * (e.g. "2026-03-01T00:00:00.000Z", as exported) or wall-clock times in the row's timezone
+ * (e.g. "2026-03-01 19:00"). Rows without a timezone use the administrator's own.
+ */
+
+import Event, { normalizeTags } from "../models/event.js";
+import { parseCsv, toCsv } from "./csv.js";
+import { zonedTimeToUtc, getDefaultTimeZone } from "./dates.js";
+
+/**
+ * The columns written by the export, in order. The counts are derived from each event's lists.
+ * @type {string[]}
+ */
+const EXPORT_COLUMNS = ["id", "title", "description", "location", "start", "end", "timezone", "capacity", "tags", "attendeeCount", "waitlistCount", "seatsLeft"];
+
+/**
+ * Reads the rows of an import file. The format is chosen from the file extension.
+ * JSON files must contain an array of events.
+ * @param {File} file - The file picked by the user.
+ * @returns {Promise<object[]>} The raw rows, one object per event.
+ * @throws {Error} If the file type is not supported or its content can't be parsed.
+ */
+export async function readEventFile(file) {
+    const text = await file.text();
+    const name = file.name.toLowerCase();
+
+    if (name.endsWith(".csv")) return parseCsv(text);
+    if (name.endsWith(".json")) {
+        let rows;
+        try {
+            rows = JSON.parse(text);
+        } catch {
+            throw new Error("The file is not valid JSON.");
+        }
+        if (!Array.isArray(rows)) throw new Error("The JSON file must contain an array of events.");
+        return rows.map(row => (row && typeof row === "object" ? row : {}));
+    }
+    throw new Error("Only .csv and .json files can be imported.");
+}
+
+/**
+ * Converts an imported date-time to a UTC instant.
+ * @param {string} value - A date-time with a UTC offset, or a wall-clock time ("YYYY-MM-DD HH:mm" or with a "T").
+ * @param {string} timeZone - The timezone wall-clock times are expressed in.
+ * @returns {string|null} The UTC instant as an ISO string, or `null` if the value can't be read.
+ */
+function toInstant(value, timeZone) {
+    const wallClock = value.match(/^(\d{4}-\d{2}-\d{2})[T ](\d{2}:\d{2}(:\d{2})?)$/);
+    try {
+        const timestamp = wallClock
+            ? Date.parse(zonedTimeToUtc(`${wallClock[1]}T${wallClock[2]}`, timeZone))
+            : Date.parse(value);
+        return Number.isNaN(timestamp) ? null : new Date(timestamp).toISOString();
+    } catch {
+        return null; // Unknown timezone, reported by the validation
+    }
+}
+
+/**
+ * Validates an imported row and turns it into an event.
+ * @param {object} row - The raw row, as read by `readEventFile`.
+ * @returns {{event: Event|null, errors: string[]}} The event ready to be created, or `null`
+ * along with the reasons when the row is invalid.
+ */
+export function parseEventRow(row) {
+    const text = key => String(row[key] ?? "").trim();
+    const timezone = text("timezone") || getDefaultTimeZone();
+    const data = {
+        title: text("title"),
+        description: text("description"),
+        location: text("location"),
+        start: toInstant(text("start"), timezone),
+        end: toInstant(text("end"), timezone),
+        timezone,
+        capacity: text("capacity"),
+        // JSON files may list the tags as an array
+        tags: normalizeTags(Array.isArray(row.tags) ? row.tags : text("tags")),
+    };
+
+    const errors = Object.values(Event.validate(data));
+    if (errors.length > 0) return { event: null, errors };
+    return {
+        event: new Event(data.title, data.description, data.location, data.start, data.end, data.timezone, data.capacity, { tags: data.tags }),
+        errors,
+    };
+}
+
+/**
+ * Serializes events for download, with their attendee and waitlist counts.
+ * @param {object[]} events - The events to export.
+ * @param {"csv"|"json"} format - The file format.
+ * @returns {Blob} The file contents.
+ */
+export function serializeEvents(events, format) {
+    const records = events.map(event => ({
+        id: event.id,
+        title: event.title,
+        description: event.description,
+        location: event.location,
+        start: event.start,
+        end: event.end,
+        timezone: event.timezone,
+        capacity: event.capacity,
+        tags: (event.tags || []).join(", "),
+        attendeeCount: event.attendees.length,
+        waitlistCount: (event.waitlist || []).length,
+        seatsLeft: Math.max(event.capacity - event.attendees.length, 0),
+    }));
+
+    if (format === "csv") {
+        return new Blob([toCsv(records, EXPORT_COLUMNS)], { type: "text/csv;charset=utf-8" });
+    }
+    return new Blob([JSON.stringify(records, null, 2)], { type: "application/json" });
+}
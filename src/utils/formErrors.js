@@ -0,0 +1,58 @@
+/**
+ * @file Shows the field errors returned by the model validators next to the form inputs.
+ */
+
+/**
+ * Removes the error shown for a single input, e.g. once the user starts correcting it.
+ * @param {HTMLElement} input - The form control.
+ */
+export function clearFieldError(input) {
+    const message = document.getElementById(`${input.id}-error`);
+    if (message) message.remove();
+    input.removeAttribute("aria-invalid");
+    input.removeAttribute("aria-describedby");
+}
+
+/**
+ * Removes every error shown in a form.
+ * @param {HTMLFormElement} form - The form.
+ */
+export function clearFieldErrors(form) {
+    form.querySelectorAll("[aria-invalid='true']").forEach(clearFieldError);
+}
+
+/**
+ * Shows each field error under its input, replacing any previous errors, and focuses the first invalid input.
+ * @param {HTMLFormElement} form - The form.
+ * @param {Object.<string, string>} errors - The field errors, as returned by `Event.validate` or `User.validate`.
+ * @param {Object.<string, string>} inputIds - The ID of the input for each field name.
+ */
+export function showFieldErrors(form, errors, inputIds) {
+    clearFieldErrors(form);
+
+    let firstInvalidInput = null;
+    for (const [field, text] of Object.entries(errors)) {
+        const input = inputIds[field] ? form.querySelector(`#${inputIds[field]}`) : null;
+        if (!input) continue;
+
+        const message = document.createElement("p");
+        message.id = `${input.id}-error`;
+        message.className = "field-error";
+        message.textContent = text;
+        input.insertAdjacentElement("afterend", message);
+        input.setAttribute("aria-invalid", "true");
+        input.setAttribute("aria-describedby", message.id);
+        firstInvalidInput ??= input;
+    }
+    if (firstInvalidInput) firstInvalidInput.focus();
+}
+
+/**
+ * Clears an input's error as soon as the user edits it.
+ * @param {HTMLFormElement} form - The form whose inputs to watch.
+ */
+export function clearFieldErrorsOnInput(form) {
+    form.addEventListener("input", (event) => {
+        if (event.target.getAttribute("aria-invalid") === "true") clearFieldError(event.target);
+    });
+}
@@ -0,0 +1,94 @@
+/**
+ * @file Safe HTML templating for the views.
+ * Markup is built with the `html` tagged template, which escapes every interpolated value,
+ * so the data of the API (titles, descriptions, emails...) always shows up as text, never as markup.
+ * Markup that is known to be safe must be opted in explicitly: fragments built with `html` itself
+ * can be nested as they are, and anything else has to be wrapped with `trustedHtml`.
+ * Views write markup into the page with `setHtml`, which only takes those safe fragments as markup.
+ */
+
+/**
+ * The entities that replace the characters with a meaning in HTML text and attribute values.
+ * @type {Object.<string, string>}
+ */
+const HTML_ESCAPES = {
+    "&": "&amp;",
+    "<": "&lt;",
+    ">": "&gt;",
+    '"': "&quot;",
+    "'": "&#39;",
+};
+
+/**
+ * A fragment of markup that is safe to insert into the page as is.
+ * Only `html` and `trustedHtml` create them.
+ */
+export class SafeHtml {
+    /**
+     * @param {string} markup - The markup.
+     */
+    constructor(markup) {
+        this.markup = markup;
+    }
+
+    /**
+     * @returns {string} The markup.
+     */
+    toString() {
+        return this.markup;
+    }
+}
+
+/**
+ * Escapes a value so it is shown as text, whether it ends up in an element or in a quoted attribute.
+ * @param {*} value - The value, converted to a string.
+ * @returns {string} The escaped text.
+ */
+export function escapeHtml(value) {
+    return String(value).replace(/[&<>"']/g, character => HTML_ESCAPES[character]);
+}
+
+/**
+ * Marks markup as safe, so `html` and `setHtml` insert it without escaping.
+ * Only use it for markup that contains no data from users or the API, such as the SVG of a QR code.
+ * @param {string} markup - The trusted markup.
+ * @returns {SafeHtml} The safe fragment.
+ */
+export function trustedHtml(markup) {
+    return new SafeHtml(String(markup));
+}
+
+/**
+ * Turns an interpolated value into markup.
+ * Safe fragments are kept, arrays are joined, `null`, `undefined` and `false` render nothing,
+ * and anything else is escaped.
+ * @param {*} value - The interpolated value.
+ * @returns {string} The markup.
+ */
+function renderValue(value) {
+    if (value === null || value === undefined || value === false) return "";
+    if (value instanceof SafeHtml) return value.markup;
+    if (Array.isArray(value)) return value.map(renderValue).join("");
+    return escapeHtml(value);
+}
+
+/**
+ * Builds markup from a template literal, escaping every interpolated value that isn't a safe fragment.
+ * @example
+ * html`<h3><a href="/events/${event.id}">${event.title}</a></h3>`
+ * @param {TemplateStringsArray} strings - The literal parts of the template.
+ * @param {...*} values - The interpolated values.
+ * @returns {SafeHtml} The safe fragment.
+ */
+export function html(strings, ...values) {
+    return new SafeHtml(strings.reduce((markup, string, index) => markup + renderValue(values[index - 1]) + string));
+}
+
+/**
+ * Replaces the content of an element. Safe fragments are inserted as markup, and anything else as text.
+ * @param {Element} element - The element to fill.
+ * @param {SafeHtml|Array<SafeHtml>|string} content - The new content. Arrays are joined.
+ */
+export function setHtml(element, content) {
+    element.innerHTML = renderValue(content);
+}
@@ -0,0 +1,57 @@
+/**
+ * @file Reads the pictures picked for event cover images.
+ * Pictures are shrunk and re-encoded in the browser before they are uploaded, so a photo
+ * of several megabytes becomes a JPEG small enough to be stored in the database as a data URL.
+ */
+
+import { MAX_IMAGE_LENGTH } from "../models/event.js";
+
+/**
+ * The longest side of a cover image, in pixels. Larger pictures are scaled down to it.
+ * @type {number}
+ */
+const MAX_IMAGE_SIZE = 960;
+
+/**
+ * The JPEG quality used to encode cover images, from 0 to 1.
+ * @type {number}
+ */
+const IMAGE_QUALITY = 0.8;
+
+/**
+ * The picture formats that can be picked.
+ * @type {string[]}
+ */
+const ACCEPTED_TYPES = ["image/png", "image/jpeg", "image/gif", "image/webp"];
+
+/**
+ * Reads a picture and turns it into a cover image: scaled down to `MAX_IMAGE_SIZE` and encoded as JPEG.
+ * Transparent areas become white, and animated GIFs keep their first frame.
+ * @param {File} file - The picture picked by the user.
+ * @returns {Promise<string>} The image as a data URL.
+ * @throws {Error} If the file is not a supported picture, can't be decoded or is still too large.
+ */
+export async function readImageFile(file) {
+    if (!ACCEPTED_TYPES.includes(file.type)) throw new Error("Only PNG, JPEG, GIF and WebP pictures can be used.");
+
+    let bitmap;
+    try {
+        bitmap = await createImageBitmap(file);
+    } catch {
+        throw new Error("The picture could not be read.");
+    }
+
+    const scale = Math.min(1, MAX_IMAGE_SIZE / Math.max(bitmap.width, bitmap.height));
+    const canvas = document.createElement("canvas");
+    canvas.width = Math.round(bitmap.width * scale);
+    canvas.height = Math.round(bitmap.height * scale);
+    const context = canvas.getContext("2d");
+    context.fillStyle = "#fff";
+    context.fillRect(0, 0, canvas.width, canvas.height);
+    context.drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+    bitmap.close();
+
+    const dataUrl = canvas.toDataURL("image/jpeg", IMAGE_QUALITY);
+    if (dataUrl.length > MAX_IMAGE_LENGTH) throw new Error("The picture is too large, even after shrinking it.");
+    return dataUrl;
+}
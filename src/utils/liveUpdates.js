@@ -0,0 +1,127 @@
+/**
+ * @file Live updates of events, so the views show the current seats and buttons without a reload.
+ * Changes come from two sources: the API's Server-Sent Events stream, which reports the changes
+ * made by anyone, and a BroadcastChannel shared by the app's open tabs, which relays the changes
+ * made in one tab to the others right away, even when the stream is unavailable.
+ * Both may report the same change; applying it twice is harmless.
+ */
+
+import { apiUrl } from "./api.js";
+
+/**
+ * The URL of the API's stream of event changes.
+ * @type {string}
+ */
+const UPDATES_URL = apiUrl("/updates");
+
+/**
+ * The name of the channel shared by the app's tabs.
+ * @type {string}
+ */
+const CHANNEL_NAME = "event-updates";
+
+/**
+ * The kinds of event changes. The stream names its messages `event-<kind>`.
+ * @enum {string}
+ */
+export const EventChange = Object.freeze({
+    CREATED: "created",
+    UPDATED: "updated",
+    DELETED: "deleted",
+});
+
+/**
+ * A change of an event: its kind, the event's ID and, unless it was deleted, the event as it is now.
+ * @typedef {{type: string, id: number, event?: object}} EventChangeMessage
+ */
+
+/**
+ * The functions called on every change.
+ * @type {Set<(change: EventChangeMessage) => void>}
+ */
+const listeners = new Set();
+
+/**
+ * The connection to the API's stream, open while some view is watching.
+ * @type {EventSource|null}
+ */
+let eventSource = null;
+
+/**
+ * The channel shared with the other tabs.
+ * @type {BroadcastChannel|null}
+ */
+let channel = null;
+
+/**
+ * Passes a change to every listener.
+ * @param {EventChangeMessage} change - The change.
+ */
+function dispatch(change) {
+    listeners.forEach(listener => listener(change));
+}
+
+/**
+ * Returns the channel shared with the other tabs, opening it on first use.
+ * @returns {BroadcastChannel|null} The channel, or `null` if the browser doesn't support it.
+ */
+function getChannel() {
+    if (!channel && "BroadcastChannel" in window) {
+        channel = new BroadcastChannel(CHANNEL_NAME);
+        channel.addEventListener("message", message => dispatch(message.data));
+    }
+    return channel;
+}
+
+/**
+ * Opens the stream of the API, if it isn't open yet.
+ */
+function connect() {
+    getChannel();
+    if (eventSource || !("EventSource" in window)) return;
+
+    eventSource = new EventSource(UPDATES_URL);
+    // The browser reconnects on its own if the API goes away for a while
+    Object.values(EventChange).forEach(type => {
+        eventSource.addEventListener(`event-${type}`, message => dispatch({ type, ...JSON.parse(message.data) }));
+    });
+}
+
+/**
+ * Closes the stream once no view is watching anymore. The channel stays open to tell the other tabs about changes.
+ */
+function disconnectIfUnused() {
+    if (listeners.size > 0 || !eventSource) return;
+    eventSource.close();
+    eventSource = null;
+}
+
+/**
+ * Calls a function on every change of an event, for as long as an element is on the page.
+ * Views are replaced on navigation, so passing the view's list or container ends the watch
+ * on its own once the user leaves it.
+ * @param {HTMLElement} element - The element that must still be in the page.
+ * @param {(change: EventChangeMessage) => void} onChange - Called with each change.
+ */
+export function watchEventChanges(element, onChange) {
+    const listener = (change) => {
+        if (element.isConnected) {
+            onChange(change);
+            return;
+        }
+        listeners.delete(listener);
+        disconnectIfUnused();
+    };
+    listeners.add(listener);
+    connect();
+}
+
+/**
+ * Tells the app's other tabs about a change made in this one.
+ * @param {string} type - One of the `EventChange` values.
+ * @param {object} event - The event as it is after the change.
+ */
+export function shareEventChange(type, event) {
+    const change = type === EventChange.DELETED ? { type, id: event.id } : { type, id: event.id, event };
+    getChannel()?.postMessage(change);
+}
@@ -0,0 +1,114 @@
+/**
+ * @file Toast notifications, the app's non-blocking replacement for `alert()`.
+ * Toasts stack in a corner of the screen, disappear on their own after a few seconds
+ * and are announced by screen readers through a live region.
+ */
+
+import { ErrorType } from "./api.js";
+
+/**
+ * How long a toast stays on screen by default, in milliseconds.
+ * @type {number}
+ */
+const DEFAULT_DURATION = 5000;
+
+/**
+ * The kinds of toasts, which set their colour and how urgently they are announced.
+ * @enum {string}
+ */
+export const ToastType = Object.freeze({
+    SUCCESS: "success",
+    INFO: "info",
+    WARNING: "warning",
+    ERROR: "error",
+});
+
+/**
+ * Returns the container of the toasts, creating it on first use.
+ * The container itself is a polite live region; error toasts use `role="alert"` to be announced right away.
+ * @returns {HTMLElement} The container element.
+ */
+function getToastContainer() {
+    let container = document.getElementById("toast-container");
+    if (!container) {
+        container = document.createElement("div");
+        container.id = "toast-container";
+        container.className = "toast-container";
+        container.setAttribute("aria-live", "polite");
+        container.setAttribute("aria-relevant", "additions");
+        document.body.appendChild(container);
+    }
+    return container;
+}
+
+/**
+ * Shows a toast notification.
+ * @param {string} message - The text to show.
+ * @param {string} [type=ToastType.INFO] - One of the `ToastType` values.
+ * @param {object} [options={}]
+ * @param {number} [options.duration] - How long the toast stays on screen, in milliseconds.
+ * Errors default to twice as long as the other types; `0` keeps the toast until it is dismissed.
+ * @param {{label: string, onClick: () => void}} [options.action] - A button shown in the toast, e.g. "Undo".
+ * Clicking it runs `onClick` and dismisses the toast.
+ * @returns {HTMLElement} The toast element.
+ */
+export function showToast(message, type = ToastType.INFO, { duration, action } = {}) {
+    const toast = document.createElement("div");
+    toast.className = `toast toast-${type}`;
+    toast.setAttribute("role", type === ToastType.ERROR ? "alert" : "status");
+
+    const text = document.createElement("p");
+    text.className = "toast-message";
+    text.textContent = message;
+
+    const closeButton = document.createElement("button");
+    closeButton.type = "button";
+    closeButton.className = "toast-close";
+    closeButton.setAttribute("aria-label", "Dismiss notification");
+    closeButton.textContent = "×";
+
+    toast.append(text);
+
+    let timer = null;
+    const dismiss = () => {
+        clearTimeout(timer);
+        toast.remove();
+    };
+    closeButton.addEventListener("click", dismiss);
+
+    if (action) {
+        const actionButton = document.createElement("button");
+        actionButton.type = "button";
+        actionButton.className = "toast-action";
+        actionButton.textContent = action.label;
+        actionButton.addEventListener("click", () => {
+            dismiss();
+            action.onClick();
+        });
+        toast.append(actionButton);
+    }
+    toast.append(closeButton);
+    // Added to the live region only once complete, so it is announced in one go
+    getToastContainer().appendChild(toast);
+
+    const visibleFor = duration ?? (type === ToastType.ERROR ? DEFAULT_DURATION * 2 : DEFAULT_DURATION);
+    if (visibleFor > 0) {
+        timer = setTimeout(dismiss, visibleFor);
+        // Keep the toast while the user is reading it
+        toast.addEventListener("mouseenter", () => clearTimeout(timer));
+        toast.addEventListener("mouseleave", () => {
+            timer = setTimeout(dismiss, visibleFor);
+        });
+    }
+    return toast;
+}
+
+/**
+ * Shows the error of a failed controller result.
+ * Errors about the session are left out, since the app already reacts to them by going back to the login page.
+ * @param {import("./api.js").ApiError} error - The error of the failed result.
+ */
+export function notifyError(error) {
+    if (error.type === ErrorType.UNAUTHORIZED && error.status === 401) return;
+    showToast(error.message, ToastType.ERROR);
+}
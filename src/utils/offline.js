@@ -0,0 +1,203 @@
+/**
+ * @file Keeps the app usable while the API can't be reached. It registers the service worker
+ * that caches the app itself, shows a banner while the data on screen may be out of date,
+ * and sends the registrations queued offline once the API answers again,
+ * telling the user about any that could no longer be applied.
+ */
+
+import { routes, notFoundRoute } from "../routes.js";
+import { getCurrentUser } from "../auth.js";
+import { handleLocation } from "../router.js";
+import { getAllEvents, registerForEvent, unregisterFromEvent, joinWaitlist } from "../controllers/eventController.js";
+import { CONNECTION_CHANGE_EVENT, ErrorType, isApiReachable } from "./api.js";
+import { STALE_DATA_EVENT, getQueuedActions, removeQueuedAction } from "./offlineStore.js";
+import { showToast, notifyError, ToastType } from "./notifications.js";
+
+/**
+ * How often the API is tried again while it can't be reached, in milliseconds.
+ * @type {number}
+ */
+const RETRY_INTERVAL = 30000;
+
+/**
+ * The oldest cached data shown since the API became unreachable, or `null` if only fresh data is on screen.
+ * @type {number|null}
+ */
+let staleSince = null;
+
+/**
+ * The timer that tries the API again while it can't be reached.
+ * @type {number|null}
+ */
+let retryTimer = null;
+
+/**
+ * Whether the queued actions are being sent, so they are never sent twice.
+ * @type {boolean}
+ */
+let syncing = false;
+
+/**
+ * Registers the service worker and asks it to precache every view of the route table.
+ */
+function registerServiceWorker() {
+    if (!("serviceWorker" in navigator)) return;
+
+    const views = [...new Set([...routes.map(route => route.view), notFoundRoute.view])];
+    navigator.serviceWorker.register("/sw.js")
+        .then(() => navigator.serviceWorker.ready)
+        .then(registration => registration.active.postMessage({ type: "precache-views", urls: views }))
+        .catch(error => console.warn("The service worker could not be registered:", error));
+}
+
+/**
+ * Shows or updates the banner about the connection.
+ */
+function renderBanner() {
+    const banner = document.getElementById("connection-banner");
+    if (!banner) return;
+
+    if (isApiReachable() && navigator.onLine) {
+        banner.hidden = true;
+        return;
+    }
+    banner.textContent = staleSince
+        ? `You're offline. Showing data saved on ${new Date(staleSince).toLocaleString()}, which may be out of date.`
+        : "You're offline. Some data may be out of date.";
+    banner.textContent += " Registration changes will be sent when the connection is back.";
+    banner.hidden = false;
+}
+
+/**
+ * Tries the API again, with a small request. If it answers, the connection change is handled
+ * like any other (see `handleConnectionChange`).
+ */
+function checkConnection() {
+    getAllEvents({ page: 1, limit: 1 });
+}
+
+/**
+ * Reacts to the API becoming unreachable or reachable again.
+ * Once it is back, the queued actions are sent and the current view is reloaded with fresh data.
+ * @param {boolean} online - Whether the API can be reached.
+ */
+async function handleConnectionChange(online) {
+    renderBanner();
+    if (!online) {
+        if (!retryTimer) retryTimer = setInterval(checkConnection, RETRY_INTERVAL);
+        return;
+    }
+
+    clearInterval(retryTimer);
+    retryTimer = null;
+    const sentActions = await syncPendingActions();
+    if (staleSince || sentActions > 0) {
+        staleSince = null;
+        renderBanner();
+        handleLocation();
+    }
+}
+
+/**
+ * Sends the actions the current user queued while offline, oldest first.
+ * Actions that can no longer be applied are dropped, and the user is told why.
+ * @returns {Promise<number>} How many actions were sent.
+ */
+export async function syncPendingActions() {
+    const user = getCurrentUser();
+    if (syncing || !user) return 0;
+
+    syncing = true;
+    let sent = 0;
+    try {
+        const actions = await getQueuedActions(user.id);
+        for (const action of actions) {
+            const send = action.type === "register" ? registerForEvent : unregisterFromEvent;
+            const result = await send(action.eventId, { queueIfOffline: false });
+            // Still offline: the remaining actions wait for the next try
+            if (!result.ok && result.error.type === ErrorType.NETWORK) break;
+
+            await removeQueuedAction(action.id);
+            reportSentAction(action, result);
+            sent++;
+        }
+    } catch (error) {
+        console.warn("The queued actions could not be sent:", error);
+    } finally {
+        syncing = false;
+    }
+    return sent;
+}
+
+/**
+ * Tells the user what happened to an action sent after being queued offline.
+ * @param {object} action - The queued action.
+ * @param {import("./api.js").Result} result - The result of sending it.
+ */
+function reportSentAction(action, result) {
+    const title = result.ok ? result.data.title : action.title;
+    const eventName = title ? `"${title}"` : "an event";
+    if (result.ok) {
+        showToast(action.type === "register"
+            ? `Your registration for ${eventName} was sent.`
+            : `You were unregistered from ${eventName}.`, ToastType.SUCCESS);
+        return;
+    }
+
+    const { type, details = {} } = result.error;
+    if (details.reason === "already-registered" || details.reason === "not-registered") {
+        return; // The registration was already the way the user wanted, e.g. changed from another device
+    }
+    if (details.reason === "full") {
+        showToast(`${eventName} filled up while you were offline, so you couldn't be registered.`, ToastType.WARNING, {
+            duration: 0,
+            action: { label: "Join waitlist", onClick: () => joinWaitlistAfterConflict(action.eventId, eventName) },
+        });
+    } else if (details.reason === "past") {
+        showToast(`${eventName} took place while you were offline, so you couldn't be registered.`, ToastType.WARNING);
+    } else if (type === ErrorType.NOT_FOUND) {
+        showToast(`${eventName} was removed while you were offline.`, ToastType.WARNING);
+    } else {
+        notifyError(result.error);
+    }
+}
+
+/**
+ * Joins the waitlist of an event that filled up before a queued registration could be sent.
+ * @param {number|string} eventId - The ID of the event.
+ * @param {string} eventName - The event's name, for the notification.
+ */
+async function joinWaitlistAfterConflict(eventId, eventName) {
+    const result = await joinWaitlist(eventId);
+    if (!result.ok) {
+        notifyError(result.error);
+        return;
+    }
+    showToast(`You joined the waitlist for ${eventName}.`, ToastType.SUCCESS);
+    handleLocation();
+}
+
+/**
+ * Sets up the offline support: the service worker, the connection banner and the replay of queued actions.
+ * Meant to be called once when the app starts.
+ */
+export function initializeOfflineSupport() {
+    registerServiceWorker();
+
+    window.addEventListener(CONNECTION_CHANGE_EVENT, (event) => handleConnectionChange(event.detail.online));
+    window.addEventListener(STALE_DATA_EVENT, (event) => {
+        staleSince = staleSince ? Math.min(staleSince, event.detail.savedAt) : event.detail.savedAt;
+        renderBanner();
+    });
+    // The browser knows about its own network; the API being down is only noticed by the requests
+    window.addEventListener("offline", renderBanner);
+    window.addEventListener("online", () => {
+        renderBanner();
+        checkConnection();
+    });
+
+    // Actions queued in a previous visit
+    syncPendingActions().then(sent => {
+        if (sent > 0) handleLocation();
+    });
+}
@@ -0,0 +1,246 @@
+/**
+ * @file Offline storage in IndexedDB, so the app stays useful while the API can't be reached.
+ * It keeps the last data fetched for each request, which the controllers fall back to when offline,
+ * and the registration actions made offline, which are sent once the API answers again (see utils/offline.js).
+ */
+
+import { ErrorType, success } from "./api.js";
+
+/**
+ * The name of the IndexedDB database.
+ * @type {string}
+ */
+const DB_NAME = "event-manager-offline";
+
+/**
+ * The version of the database schema. Bump it when the stores change.
+ * @type {number}
+ */
+const DB_VERSION = 1;
+
+/**
+ * The object stores: the data of the last successful requests by key,
+ * single events by ID, and the queue of actions waiting to be sent.
+ * @type {{responses: string, events: string, actions: string}}
+ */
+const STORES = { responses: "responses", events: "events", actions: "pendingActions" };
+
+/**
+ * How many request responses are kept. Every search or filter is cached separately,
+ * so the oldest ones are dropped beyond this.
+ * @type {number}
+ */
+const MAX_CACHED_RESPONSES = 50;
+
+/**
+ * The name of the window event dispatched when data is served from the cache instead of the API.
+ * Its `detail` is `{ savedAt: number }`, when the data was fetched.
+ * @type {string}
+ */
+export const STALE_DATA_EVENT = "stale-data";
+
+/**
+ * The pending promise of the opened database, shared by every call.
+ * @type {Promise<IDBDatabase>|null}
+ */
+let databasePromise = null;
+
+/**
+ * Opens the database, creating its stores on first use.
+ * @returns {Promise<IDBDatabase>} The database.
+ */
+function openDatabase() {
+    if (!databasePromise) {
+        databasePromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                db.createObjectStore(STORES.responses, { keyPath: "key" }).createIndex("savedAt", "savedAt");
+                db.createObjectStore(STORES.events, { keyPath: "id" });
+                db.createObjectStore(STORES.actions, { keyPath: "id", autoIncrement: true });
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+        // Let a later call try again, e.g. if IndexedDB was blocked
+        databasePromise.catch(() => {
+            databasePromise = null;
+        });
+    }
+    return databasePromise;
+}
+
+/**
+ * Runs some work in a transaction on one store.
+ * @param {string} storeName - One of the `STORES` names.
+ * @param {IDBTransactionMode} mode - "readonly" or "readwrite".
+ * @param {(store: IDBObjectStore) => IDBRequest|void} work - Issues the requests on the store.
+ * @returns {Promise<*>} The result of the request returned by `work`, once the transaction completes.
+ */
+async function runTransaction(storeName, mode, work) {
+    const db = await openDatabase();
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(storeName, mode);
+        const request = work(transaction.objectStore(storeName));
+        transaction.oncomplete = () => resolve(request ? request.result : undefined);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+}
+
+/**
+ * Saves the data of a successful request. The oldest responses are dropped beyond `MAX_CACHED_RESPONSES`.
+ * @param {string} key - What identifies the request, e.g. its URL.
+ * @param {*} data - The data to keep.
+ */
+async function saveResponse(key, data) {
+    await runTransaction(STORES.responses, "readwrite", store => {
+        store.put({ key, data, savedAt: Date.now() });
+        const countRequest = store.count();
+        countRequest.onsuccess = () => {
+            let excess = countRequest.result - MAX_CACHED_RESPONSES;
+            if (excess <= 0) return;
+            // The index walks the responses from the oldest one
+            store.index("savedAt").openCursor().onsuccess = (event) => {
+                const cursor = event.target.result;
+                if (!cursor || excess <= 0) return;
+                cursor.delete();
+                excess--;
+                cursor.continue();
+            };
+        };
+    });
+}
+
+/**
+ * Saves events, so they can be shown one by one (e.g. on their detail page) while offline.
+ * @param {Array<object>} events - The events.
+ */
+export async function saveEvents(events) {
+    const savedAt = Date.now();
+    await runTransaction(STORES.events, "readwrite", store => {
+        events.forEach(event => store.put({ id: String(event.id), event, savedAt }));
+    });
+}
+
+/**
+ * Reads the saved data of a request or event.
+ * @param {string} storeName - `STORES.responses` or `STORES.events`.
+ * @param {string} key - The key of the request, or the event's ID.
+ * @returns {Promise<{data: *, savedAt: number}|null>} The data and when it was saved, or `null` if there is none.
+ */
+async function readSaved(storeName, key) {
+    const record = await runTransaction(storeName, "readonly", store => store.get(key));
+    if (!record) return null;
+    return { data: storeName === STORES.events ? record.event : record.data, savedAt: record.savedAt };
+}
+
+/**
+ * Wraps a read from the API with the offline cache: successful data is saved, and when the API
+ * can't be reached the last saved data is returned instead, marked as stale.
+ * Cache errors (e.g. IndexedDB being unavailable) never change the outcome of the request.
+ * @param {Promise<import("./api.js").Result>} request - The pending request.
+ * @param {object} cache
+ * @param {string} [cache.key] - What identifies the request in the cache.
+ * @param {number|string} [cache.eventId] - For requests of a single event, its ID instead of a key.
+ * @param {(data: *) => Array<object>} [cache.eventsOf] - Picks the events in the data, to save them one by one too.
+ * @returns {Promise<import("./api.js").Result>} The result of the request, or the cached data when offline.
+ */
+export async function withOfflineCache(request, { key, eventId, eventsOf }) {
+    const result = await request;
+    try {
+        if (result.ok) {
+            if (key) await saveResponse(key, result.data);
+            const events = eventId !== undefined ? [result.data] : eventsOf?.(result.data);
+            if (events?.length) await saveEvents(events);
+            return result;
+        }
+        if (result.error.type !== ErrorType.NETWORK) return result;
+
+        const saved = eventId !== undefined
+            ? await readSaved(STORES.events, String(eventId))
+            : await readSaved(STORES.responses, key);
+        if (!saved) return result;
+
+        window.dispatchEvent(new CustomEvent(STALE_DATA_EVENT, { detail: { savedAt: saved.savedAt } }));
+        return success(saved.data, { stale: true, savedAt: saved.savedAt });
+    } catch (error) {
+        console.warn("The offline cache is unavailable:", error);
+        return result;
+    }
+}
+
+/**
+ * Saves a registration action made while the API can't be reached, to send it later.
+ * Opposite actions cancel out: unregistering from an event whose registration is still waiting
+ * removes both, and the same action is never queued twice.
+ * @param {object} action
+ * @param {string} action.type - "register" or "unregister".
+ * @param {number|string} action.eventId - The ID of the event.
+ * @param {number|string} action.userId - The ID of the user acting.
+ * @returns {Promise<void>} Resolves once the action is saved; rejects if it could not be.
+ */
+export async function queueAction({ type, eventId, userId }) {
+    const pending = await getQueuedActions(userId);
+    const sameEvent = pending.filter(action => String(action.eventId) === String(eventId));
+    if (sameEvent.some(action => action.type === type)) return;
+
+    const saved = await readSaved(STORES.events, String(eventId)).catch(() => null);
+    await runTransaction(STORES.actions, "readwrite", store => {
+        if (sameEvent.length > 0) {
+            sameEvent.forEach(action => store.delete(action.id));
+        } else {
+            // The title is kept to describe the action when it is replayed, even if the event was deleted by then
+            store.add({ type, eventId, userId, title: saved?.data.title ?? null, queuedAt: new Date().toISOString() });
+        }
+    });
+}
+
+/**
+ * Wraps a registration request so that, when the API can't be reached, the action is queued instead.
+ * @param {Promise<import("./api.js").Result>} request - The pending request.
+ * @param {object} action - The action to queue, as accepted by `queueAction`.
+ * @returns {Promise<import("./api.js").Result>} The result of the request, or a successful result
+ * with `queued: true` and no data if the action was queued.
+ */
+export async function queueIfOffline(request, action) {
+    const result = await request;
+    if (result.ok || result.error.type !== ErrorType.NETWORK) return result;
+    try {
+        await queueAction(action);
+        return success(null, { queued: true });
+    } catch (error) {
+        console.warn("The action could not be queued:", error);
+        return result;
+    }
+}
+
+/**
+ * Lists a user's queued actions, oldest first.
+ * @param {number|string} userId - The ID of the user.
+ * @returns {Promise<Array<object>>} The actions `{ id, type, eventId, userId, title, queuedAt }`.
+ */
+export async function getQueuedActions(userId) {
+    const actions = await runTransaction(STORES.actions, "readonly", store => store.getAll());
+    return actions.filter(action => String(action.userId) === String(userId));
+}
+
+/**
+ * Removes an action from the queue, once it was sent.
+ * @param {number} actionId - The ID of the queued action.
+ */
+export async function removeQueuedAction(actionId) {
+    await runTransaction(STORES.actions, "readwrite", store => store.delete(actionId));
+}
+
+/**
+ * Deletes everything stored offline, e.g. when the user logs out on a shared device.
+ * Errors are only logged, since there may be nothing to delete.
+ */
+export async function clearOfflineData() {
+    try {
+        await Promise.all(Object.values(STORES).map(storeName => runTransaction(storeName, "readwrite", store => store.clear())));
+    } catch (error) {
+        console.warn("The offline data could not be cleared:", error);
+    }
+}
@@ -0,0 +1,81 @@
+/**
+ * @file Infinite-scroll helper for lists that are paginated on the server.
+ * The next page is loaded when the "Load more" button scrolls into view (or is clicked),
+ * and a status line shows how many items and pages have been loaded so far.
+ */
+
+import { notifyError } from "./notifications.js";
+import { html, setHtml } from "./html.js";
+
+/**
+ * Creates an infinite-scroll list.
+ * @param {object} config - The list configuration.
+ * @param {HTMLElement} config.container - The element the items are appended to.
+ * @param {HTMLElement} config.status - The element showing the page indicator.
+ * @param {HTMLButtonElement} config.loadMoreButton - The button that loads the next page. It is also
+ * observed, so the page loads automatically when the user scrolls to the end of the list.
+ * @param {number} config.pageSize - The number of items per page.
+ * @param {(page: number, pageSize: number) => Promise<import("./api.js").Result>} config.fetchPage - Fetches a page.
+ * A successful result's `data` is `{ events, total }`; a failed one is shown and the page can be retried.
+ * @param {(item: object) => HTMLElement} config.renderItem - Builds the element for one item.
+ * @param {string} config.emptyMessage - The message shown when there are no items at all.
+ * @returns {{reset: () => Promise<void>}} An object whose `reset` method clears the list and loads the first page again.
+ */
+export function createPaginatedList({ container, status, loadMoreButton, pageSize, fetchPage, renderItem, emptyMessage }) {
+    let page = 0;
+    let loaded = 0;
+    let total = 0;
+    let loading = false;
+    // Incremented on every reset, so responses for a previous query are discarded
+    let generation = 0;
+
+    /** Updates the page indicator and shows the button only while there are more pages. */
+    function renderStatus() {
+        const totalPages = Math.max(Math.ceil(total / pageSize), 1);
+        status.textContent = total === 0 ? "" : `Showing ${loaded} of ${total} events (page ${page} of ${totalPages})`;
+        loadMoreButton.hidden = loaded >= total;
+    }
+
+    /** Fetches the next page and appends its items. */
+    async function loadNextPage() {
+        if (loading || (page > 0 && loaded >= total)) return;
+        loading = true;
+        const requestGeneration = generation;
+
+        const result = await fetchPage(page + 1, pageSize);
+        loading = false;
+        if (requestGeneration !== generation) return; // A reset happened while this page was loading
+        if (!result.ok) {
+            notifyError(result.error);
+            return;
+        }
+
+        const { events, total: totalCount } = result.data;
+        page++;
+        total = totalCount;
+        loaded += events.length;
+        events.forEach(item => container.appendChild(renderItem(item)));
+
+        if (total === 0) setHtml(container, html`<p>${emptyMessage}</p>`);
+        renderStatus();
+    }
+
+    /** Clears the list and loads the first page again, e.g. after the filters change. */
+    function reset() {
+        generation++;
+        page = 0;
+        loaded = 0;
+        total = 0;
+        loading = false;
+        container.innerHTML = "";
+        return loadNextPage();
+    }
+
+    loadMoreButton.addEventListener("click", loadNextPage);
+    const observer = new IntersectionObserver(entries => {
+        if (entries.some(entry => entry.isIntersecting)) loadNextPage();
+    });
+    observer.observe(loadMoreButton);
+
+    return { reset };
+}
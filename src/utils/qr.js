@@ -0,0 +1,23 @@
+/**
+ * @file Renders QR codes in the browser. The encoder is bundled with the app,
+ * so tickets can be shown without a network connection.
+ */
+
+import qrcode from "qrcode-generator";
+import { trustedHtml } from "./html.js";
+
+/**
+ * Renders text as a QR code, with the standard quiet zone around it.
+ * The SVG has no accessible name of its own, so wrap it in an element with one.
+ * @param {string} text - The text to encode, e.g. a ticket code.
+ * @param {number} [cellSize=4] - The size of each module, in pixels.
+ * @returns {import("./html.js").SafeHtml} The markup of an SVG image.
+ */
+export function renderQrCode(text, cellSize = 4) {
+    // Type 0 picks the smallest version that fits; level M survives some damage to a printed code
+    const qr = qrcode(0, "M");
+    qr.addData(text);
+    qr.make();
+    // The SVG is generated by the library and only contains drawing instructions
+    return trustedHtml(qr.createSvgTag({ cellSize }));
+}
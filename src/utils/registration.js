@@ -0,0 +1,115 @@
+/**
+ * @file Shared UI helpers for the registration buttons rendered on event cards and detail pages.
+ */
+
+import { getAllEvents, getEventById, registerForEvent, unregisterFromEvent, joinWaitlist, leaveWaitlist } from "../controllers/eventController.js";
+import { getCurrentUser } from "../auth.js";
+import { isPastEvent, findOverlappingEvents, formatEventDateRange } from "./dates.js";
+import { success } from "./api.js";
+import { html } from "./html.js";
+import { showToast, notifyError, ToastType } from "./notifications.js";
+import { confirmDialog } from "./dialog.js";
+
+/**
+ * Builds the action button for an event: register, join/leave the waitlist, or a disabled status.
+ * Events that already took place always get a disabled button.
+ * @param {object} event - The event object.
+ * @param {boolean} isRegistered - Whether the current user is already registered.
+ * @param {boolean} hasCapacity - Whether the event has seats left.
+ * @param {number} waitlistPosition - The user's 1-based position in the waitlist, or 0 if not queued.
+ * @returns {import("./html.js").SafeHtml} The button's markup.
+ */
+export function renderEnrollButton(event, isRegistered, hasCapacity, waitlistPosition) {
+    if (isPastEvent(event)) {
+        return html`<button class="enroll-btn" data-event-id="${event.id}" disabled>Event Ended</button>`;
+    }
+    if (isRegistered) {
+        return html`<button class="enroll-btn" data-event-id="${event.id}" disabled>Already Registered</button>`;
+    }
+    if (hasCapacity) {
+        return html`<button class="enroll-btn" data-event-id="${event.id}">Register</button>`;
+    }
+    if (waitlistPosition) {
+        return html`<button class="leave-waitlist-btn" data-event-id="${event.id}">Leave Waitlist</button>`;
+    }
+    return html`<button class="waitlist-btn" data-event-id="${event.id}">Full - Join Waitlist</button>`;
+}
+
+/**
+ * The actions behind the registration buttons, with the message shown when they succeed
+ * and, for those that can be queued while offline, when they are queued.
+ * @type {Array<{selector: string, run: (eventId: string) => Promise<import("./api.js").Result>, message: string, queuedMessage?: string}>}
+ */
+const REGISTRATION_ACTIONS = [
+    {
+        selector: ".enroll-btn",
+        run: registerUnlessClashing,
+        message: "You are registered for the event.",
+        queuedMessage: "You're offline. Your registration will be sent as soon as the connection is back.",
+    },
+    {
+        selector: ".unenroll-btn",
+        run: unregisterFromEvent,
+        message: "You are no longer registered for the event.",
+        queuedMessage: "You're offline. You will be unregistered as soon as the connection is back.",
+    },
+    { selector: ".waitlist-btn", run: joinWaitlist, message: "You joined the waitlist. We'll save you a seat if one frees up." },
+    { selector: ".leave-waitlist-btn", run: leaveWaitlist, message: "You left the waitlist." },
+];
+
+/**
+ * Runs the registration action behind a clicked button (register, unenroll, join or leave the waitlist)
+ * and tells the user how it went. Shared by every view that renders registration buttons.
+ * @param {HTMLElement} target - The clicked element.
+ * @returns {Promise<object|null>} The updated event, or null if the element is not a registration button,
+ * the user cancelled or the action failed.
+ */
+export async function runRegistrationAction(target) {
+    const action = REGISTRATION_ACTIONS.find(({ selector }) => target.matches(selector));
+    if (!action) return null;
+
+    const result = await action.run(target.dataset.eventId);
+    if (!result.ok) {
+        notifyError(result.error);
+        return null;
+    }
+    if (result.queued) {
+        showToast(action.queuedMessage, ToastType.INFO);
+        return null;
+    }
+    if (result.data) showToast(action.message, ToastType.SUCCESS);
+    return result.data;
+}
+
+/**
+ * Registers the current user for an event, asking for confirmation first
+ * if it overlaps with an event they are already attending.
+ * @param {string} eventId - The ID of the event to register for.
+ * @returns {Promise<import("./api.js").Result>} The registration's result, whose `data` is the updated event,
+ * or `null` if the user cancelled.
+ */
+async function registerUnlessClashing(eventId) {
+    const user = getCurrentUser();
+    if (user) {
+        const [eventResult, myEventsResult] = await Promise.all([
+            getEventById(eventId),
+            getAllEvents({ attendeeId: user.id }),
+        ]);
+        // If either lookup fails, the clash check is skipped and the server has the final word
+        const clashes = eventResult.ok && myEventsResult.ok
+            ? findOverlappingEvents(eventResult.data, myEventsResult.data.events)
+            : [];
+        if (clashes.length > 0) {
+            const confirmed = await confirmDialog({
+                title: "Register for overlapping events?",
+                details: [
+                    `This event overlaps with ${clashes.length === 1 ? "an event" : `${clashes.length} events`} you are already attending:`,
+                    ...clashes.map(clash => `${clash.title} (${formatEventDateRange(clash)})`),
+                ],
+                confirmLabel: "Register anyway",
+            });
+            if (!confirmed) return success(null);
+        }
+    }
+    return registerForEvent(eventId);
+}
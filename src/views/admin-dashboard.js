@@ -0,0 +1,579 @@
+/**
+ * @file Logic for the event management dashboard, shared by administrators and organizers.
+ * Everyone here sees every event, but the buttons of each card depend on what the user may do with it
+ * (see permissions.js): organizers only manage the events they own.
+ */
+
+import { getAllEvents, getEventById, createEvent, deleteEvent, restoreEvent, updateEvent, moveInWaitlist, exportEventCatalogue } from "../controllers/eventController.js";
+import Event, { normalizeTags } from "../models/event.js";
+import { hasErrors } from "../models/validation.js";
+import { showFieldErrors, clearFieldErrors, clearFieldErrorsOnInput } from "../utils/formErrors.js";
+import { navigateTo } from "../router.js";
+import { bindFilterToolbar, toQueryOptions, updateLocationOptions } from "../utils/eventFilters.js";
+import { createPaginatedList } from "../utils/pagination.js";
+import { downloadFile } from "../utils/download.js";
+import { showToast, notifyError, ToastType } from "../utils/notifications.js";
+import { confirmDialog } from "../utils/dialog.js";
+import { watchEventChanges, EventChange } from "../utils/liveUpdates.js";
+import { ErrorType } from "../utils/api.js";
+import { html, setHtml } from "../utils/html.js";
+import { can, Action } from "../permissions.js";
+import { loadCategories, fillCategoryOptions, renderEventChips, renderEventCover } from "../utils/eventLabels.js";
+import { readImageFile } from "../utils/images.js";
+import { readEventFile, parseEventRow, serializeEvents } from "../utils/eventTransfer.js";
+import { isPastEvent, formatEventDateRange, zonedTimeToUtc, utcToZonedTime, getDefaultTimeZone, getTimeZones } from "../utils/dates.js";
+
+/**
+ * The number of events loaded per page.
+ * @type {number}
+ */
+const PAGE_SIZE = 10;
+
+/**
+ * How long the "Undo" button is offered after deleting an event, in milliseconds.
+ * Afterwards the event can still be restored from the trash.
+ * @type {number}
+ */
+const UNDO_DURATION = 10000;
+
+/**
+ * The input of each field of the event form.
+ * @type {Object.<string, string>}
+ */
+const INPUT_IDS = {
+    title: "event-title",
+    description: "event-description",
+    location: "event-location",
+    start: "event-start",
+    end: "event-end",
+    timezone: "event-timezone",
+    capacity: "event-capacity",
+    category: "event-category",
+    tags: "event-tags",
+    image: "event-image",
+};
+
+/**
+ * Initializes the entire Admin Event Management dashboard.
+ * Fetches data, renders events, and sets up all event listeners for the view.
+ * @param {object} context - The route context.
+ * @param {object} context.user - The logged-in administrator or organizer.
+ * @param {Object.<string, string>} context.params - The route parameters. `id` is set when opened
+ * from the edit route, and that event is loaded into the form.
+ */
+export default async function initializeAdminDashboard({ user, params }) {
+    const editingId = params.id;
+    const eventListElement = document.getElementById("event-list");
+    const eventForm = document.getElementById("event-form");
+    const filterForm = document.getElementById("event-filters");
+    const listStatusElement = document.getElementById("event-list-status");
+    const loadMoreButton = document.getElementById("event-list-more");
+    if (!eventListElement || !eventForm || !filterForm || !listStatusElement || !loadMoreButton) return;  // Safety check
+
+    let filters = {};
+    // The attendees of the event being edited, checked against its new capacity
+    let editingAttendees = [];
+    // The parsed rows of the file being imported, waiting for confirmation
+    let importedRows = [];
+    // The categories by ID, to render the cards' chips
+    let categories = new Map();
+    // The cover image of the event being created or edited, as a data URL
+    let coverImage = null;
+    const imageInput = document.getElementById("event-image");
+    const imagePreview = document.getElementById("event-image-preview");
+    const importFileInput = document.getElementById("import-file");
+    const importPreview = document.getElementById("import-preview");
+
+    // --- NESTED HELPER FUNCTIONS for the Admin View ---
+
+    /** Builds the card of a single event in the list, with the actions the user may perform on it. */
+    function createEventCard(event) {
+        // Events that already took place stay listed, but marked as archived
+        const isArchived = isPastEvent(event);
+        const canManageAttendees = can(user, Action.MANAGE_ATTENDEES, event);
+        const eventElement = document.createElement("div");
+        eventElement.classList.add("event-card");
+        eventElement.dataset.eventId = event.id; // Lets the card be replaced in place when the event changes
+        if (isArchived) eventElement.classList.add("archived");
+        setHtml(eventElement, html`
+            ${isArchived ? html`<span class="badge">Archived</span>` : ""}
+            ${renderEventCover(event)}
+            <h3><a href="/events/${event.id}">${event.title}</a></h3>
+            ${renderEventChips(event, categories)}
+            <p>${event.description}</p>
+            <p><strong>Location:</strong> ${event.location}</p>
+            <p><strong>When:</strong> ${formatEventDateRange(event)}</p>
+            <p><strong>Attendees:</strong> ${canManageAttendees
+                ? html`<a href="/admin-dashboard/events/${event.id}/attendees">${event.attendees.length} / ${event.capacity}</a>`
+                : `${event.attendees.length} / ${event.capacity}`}</p>
+            ${isArchived || !canManageAttendees ? "" : html`<p><a href="/admin-dashboard/events/${event.id}/check-in">Check-in</a></p>`}
+            ${renderWaitlist(event)}
+            <div class="actions">
+                ${can(user, Action.UPDATE_EVENT, event) ? html`<button class="edit-btn" data-id="${event.id}">Edit</button>` : ""}
+                ${can(user, Action.DELETE_EVENT, event) ? html`<button class="delete-btn" data-id="${event.id}">Delete</button>` : ""}
+            </div>
+        `);
+        return eventElement;
+    }
+
+    /** Fetches one page of events matching the current filters. */
+    async function fetchEventsPage(page, limit) {
+        const result = await getAllEvents({ ...toQueryOptions(filters), page, limit });
+        if (result.ok) updateLocationOptions(filterForm, result.data.events);
+        return result;
+    }
+
+    const eventList = createPaginatedList({
+        container: eventListElement,
+        status: listStatusElement,
+        loadMoreButton,
+        pageSize: PAGE_SIZE,
+        fetchPage: fetchEventsPage,
+        renderItem: createEventCard,
+        emptyMessage: "No events match the current filters.",
+    });
+
+    /** Builds the waitlist section of an event card, with buttons to reorder the queue for those who may edit it. */
+    function renderWaitlist(event) {
+        const waitlist = event.waitlist || [];
+        if (waitlist.length === 0) return "";
+
+        const canReorder = can(user, Action.UPDATE_EVENT, event);
+        const items = waitlist.map((userId, index) => html`
+            <li>
+                User #${userId}
+                ${canReorder ? html`
+                    <button class="waitlist-up-btn" data-id="${event.id}" data-user-id="${userId}" ${index === 0 ? "disabled" : ""}>&uarr;</button>
+                    <button class="waitlist-down-btn" data-id="${event.id}" data-user-id="${userId}" ${index === waitlist.length - 1 ? "disabled" : ""}>&darr;</button>
+                ` : ""}
+            </li>
+        `);
+
+        return html`
+            <div class="waitlist">
+                <p><strong>Waitlist (${waitlist.length}):</strong></p>
+                <ol>${items}</ol>
+            </div>
+        `;
+    }
+
+
+    /** Handles form submission for both creating and updating events. */
+    async function handleEventFormSubmit(event) {
+        event.preventDefault(); 
+        const editingId = eventForm.dataset.editingId; // Read the ID that was saved
+
+        // Get the values from the form inputs
+        // Select each input by its unique ID
+        const title = document.getElementById("event-title").value;
+        const description = document.getElementById("event-description").value;
+        const location = document.getElementById("event-location").value;
+        const capacity = document.getElementById("event-capacity").value;
+        const timezone = document.getElementById("event-timezone").value;
+        const categoryValue = document.getElementById("event-category").value;
+        const category = categoryValue ? parseInt(categoryValue, 10) : null;
+        const tags = normalizeTags(document.getElementById("event-tags").value);
+        const image = coverImage;
+        // The times are entered as wall-clock times in the event's timezone
+        const startValue = document.getElementById("event-start").value;
+        const endValue = document.getElementById("event-end").value;
+        const start = startValue ? zonedTimeToUtc(startValue, timezone) : "";
+        const end = endValue ? zonedTimeToUtc(endValue, timezone) : "";
+
+        // An edited event's capacity can't drop below the people already registered
+        const errors = Event.validate({ title, description, location, start, end, timezone, capacity, category, tags, image, attendees: editingAttendees });
+        if (hasErrors(errors)) {
+            showFieldErrors(eventForm, errors, INPUT_IDS);
+            return;
+        }
+        clearFieldErrors(eventForm);
+
+        const eventData = {
+            title,
+            description,
+            location,
+            capacity: parseInt(capacity, 10),
+            start,
+            end,
+            timezone,
+            category,
+            tags,
+            image
+        };
+
+        // Creating an event in the past is allowed (e.g. to record it), but must be intentional
+        if (!editingId && isPastEvent(eventData)) {
+            const confirmed = await confirmDialog({
+                title: "Create an event in the past?",
+                details: ["This event has already ended, so visitors won't be able to register."],
+                confirmLabel: "Create anyway",
+            });
+            if (!confirmed) return;
+        }
+
+        let result;
+        if (editingId) {
+            // --- UPDATE MOOD ---
+            result = await updateEvent(editingId, eventData);
+        } else {
+            // --- CREATE MOOD ---
+            const newEvent = new Event(title, description, location, start, end, timezone, capacity, { category, tags, image });
+            result = await createEvent(newEvent);
+        }
+
+        if (!result.ok) {
+            // The API validates again, e.g. against attendees who registered while the form was open
+            if (result.error.type === ErrorType.VALIDATION && result.error.fieldErrors) {
+                showFieldErrors(eventForm, result.error.fieldErrors, INPUT_IDS);
+            }
+            notifyError(result.error);
+            return;
+        }
+
+        showToast(editingId ? "The event was updated." : "The event was created.", ToastType.SUCCESS);
+        if (editingId) {
+            navigateTo("/admin-dashboard"); // Leave the edit route, which reloads the view
+        } else {
+            resetEventForm();
+            loadAdminView(); // Recharge the view
+        }
+    }
+
+    /** Handles clicks on the 'Edit' and 'Delete' buttons within the event list. */
+    async function handleEventListClick(event) {
+        const eventId = event.target.dataset.id;
+        if (event.target.matches(".delete-btn")) {
+            handleDeleteEvent(eventId);
+        } else if (event.target.matches(".waitlist-up-btn, .waitlist-down-btn")) {
+            const direction = event.target.matches(".waitlist-up-btn") ? -1 : 1;
+            const result = await moveInWaitlist(eventId, event.target.dataset.userId, direction);
+            if (result.ok) loadAdminView();
+            else notifyError(result.error);
+        } else if (event.target.matches(".edit-btn")) {
+            // Editing has its own route so it can be bookmarked and survives a reload
+            navigateTo(`/admin-dashboard/events/${eventId}/edit`);
+        }
+    }
+
+    /**
+     * Deletes an event once the user confirms, telling them how many registrations are at stake.
+     * The event goes to the trash. Those who manage the trash can bring it back right away with the toast's "Undo" button.
+     */
+    async function handleDeleteEvent(eventId) {
+        // Fetched again so the counts include the latest registrations
+        const eventResult = await getEventById(eventId);
+        if (!eventResult.ok) {
+            notifyError(eventResult.error);
+            return;
+        }
+        const eventToDelete = eventResult.data;
+        const registered = eventToDelete.attendees.length;
+        const waitlisted = (eventToDelete.waitlist || []).length;
+
+        const details = [registered === 0
+            ? "Nobody has registered for this event yet."
+            : `${registered} ${registered === 1 ? "visitor is" : "visitors are"} registered for this event`
+                + (waitlisted ? `, and ${waitlisted} on the waitlist.` : ".")];
+        const canRestore = can(user, Action.MANAGE_TRASH, eventToDelete);
+        details.push(canRestore
+            ? "It will be moved to the trash, where it can be restored later."
+            : "It will be moved to the trash, where only an administrator can restore it.");
+        const confirmed = await confirmDialog({
+            title: `Delete "${eventToDelete.title}"?`,
+            details,
+            confirmLabel: "Delete event",
+            danger: true,
+        });
+        if (!confirmed) return;
+
+        const result = await deleteEvent(eventId);
+        if (!result.ok) {
+            notifyError(result.error);
+            return;
+        }
+        showToast(`"${eventToDelete.title}" was moved to the trash.`, ToastType.SUCCESS, canRestore ? {
+            duration: UNDO_DURATION,
+            action: { label: "Undo", onClick: () => handleUndoDelete(eventId) },
+        } : {});
+        loadAdminView(); // Reload the list
+    }
+
+    /** Restores an event that was just deleted. */
+    async function handleUndoDelete(eventId) {
+        const result = await restoreEvent(eventId);
+        if (!result.ok) {
+            notifyError(result.error);
+            return;
+        }
+        showToast(`"${result.data.title}" was restored.`, ToastType.SUCCESS);
+        // The view may have been left in the meantime
+        if (eventListElement.isConnected) loadAdminView();
+    }
+
+    /** Fills the form with an existing event's data and switches it to edit mode. */
+    async function startEditing(eventId) {
+        const result = await getEventById(eventId);
+        if (!result.ok) {
+            if (result.error.type === ErrorType.NOT_FOUND) {
+                showToast("The event you are trying to edit does not exist.", ToastType.WARNING);
+            } else {
+                notifyError(result.error);
+            }
+            navigateTo("/admin-dashboard");
+            return;
+        }
+        const eventToEdit = result.data;
+        if (!can(user, Action.UPDATE_EVENT, eventToEdit)) {
+            showToast("You can only edit the events you organize.", ToastType.WARNING);
+            navigateTo("/admin-dashboard");
+            return;
+        }
+
+        // Fill the form with the event data
+        document.getElementById("event-title").value = eventToEdit.title;
+        document.getElementById("event-description").value = eventToEdit.description;
+        document.getElementById("event-location").value = eventToEdit.location;
+        document.getElementById("event-capacity").value = eventToEdit.capacity; 
+        selectTimeZone(eventToEdit.timezone);
+        document.getElementById("event-start").value = utcToZonedTime(eventToEdit.start, eventToEdit.timezone);
+        document.getElementById("event-end").value = utcToZonedTime(eventToEdit.end, eventToEdit.timezone);
+        document.getElementById("event-category").value = eventToEdit.category ?? "";
+        document.getElementById("event-tags").value = (eventToEdit.tags || []).join(", ");
+        showCoverImage(eventToEdit.image ?? null);
+        updateDateWarning();
+        editingAttendees = eventToEdit.attendees;
+        eventForm.setAttribute("data-editing-id", eventId); // Save the ID being edited
+        eventForm.querySelector("button[type='submit']").textContent = "Update Event"; 
+
+        // Scroll to move to the form
+        eventForm.scrollIntoView( { behavior: "smooth", block: "center"});
+
+        if (!eventForm.querySelector(".cancel-btn")) {
+            const cancelButton = document.createElement("button");
+            cancelButton.type = "button";
+            cancelButton.textContent = "Cancel";
+            cancelButton.classList.add("cancel-btn"); 
+
+            cancelButton.addEventListener("click", () => {
+                navigateTo("/admin-dashboard");
+            });
+
+            eventForm.querySelector("button[type='submit']").insertAdjacentElement("afterend", cancelButton);
+        }
+    }
+
+    /** Shows the warning below the start input while the selected start is in the past. */
+    function updateDateWarning() {
+        const startValue = document.getElementById("event-start").value;
+        const timezone = document.getElementById("event-timezone").value;
+        document.getElementById("event-date-warning").hidden = !startValue || Date.parse(zonedTimeToUtc(startValue, timezone)) >= Date.now();
+    }
+
+    /** Fills the timezone select and picks the user's own timezone. */
+    function populateTimeZones() {
+        const timezoneSelect = document.getElementById("event-timezone");
+        setHtml(timezoneSelect, getTimeZones()
+            .map(timeZone => html`<option value="${timeZone}">${timeZone.replace(/_/g, " ")}</option>`));
+        selectTimeZone(getDefaultTimeZone());
+    }
+
+    /** Keeps a cover image for the event in the form and shows its preview, or clears it when `null`. */
+    function showCoverImage(image) {
+        coverImage = image;
+        imagePreview.querySelector("img").src = image || "";
+        imagePreview.hidden = !image;
+        if (!image) imageInput.value = "";
+    }
+
+    /** Reads the picked cover image, shrinking it before it is shown and later uploaded. */
+    async function handleImageChange() {
+        const file = imageInput.files[0];
+        if (!file) return;
+        try {
+            showCoverImage(await readImageFile(file));
+        } catch (error) {
+            showCoverImage(null);
+            showFieldErrors(eventForm, { image: error.message }, INPUT_IDS);
+        }
+    }
+
+    /** Selects a timezone, adding it to the list first if the browser doesn't know it. */
+    function selectTimeZone(timeZone) {
+        const timezoneSelect = document.getElementById("event-timezone");
+        if (![...timezoneSelect.options].some(option => option.value === timeZone)) {
+            timezoneSelect.add(new Option(timeZone, timeZone));
+        }
+        timezoneSelect.value = timeZone;
+    }
+
+    /** Resets the event form to its default state after a create or update action. */
+    function resetEventForm() {
+        eventForm.reset();
+        selectTimeZone(getDefaultTimeZone()); // reset() would select the first timezone in the list
+        updateDateWarning();
+        showCoverImage(null);
+        clearFieldErrors(eventForm);
+        editingAttendees = [];
+        eventForm.removeAttribute("data-editing-id");
+        eventForm.querySelector("button[type='submit']").textContent = "Create Event";
+
+        // Find and delete the search button if exists 
+        const cancelButton = eventForm.querySelector(".cancel-btn");
+        if (cancelButton) {
+            cancelButton.remove();
+        }
+    }
+
+
+    /** Downloads the events matching the current filters, in every page, as CSV or JSON. */
+    async function handleListExport(format) {
+        const result = await getAllEvents(toQueryOptions(filters));
+        if (!result.ok) {
+            notifyError(result.error);
+            return;
+        }
+        downloadFile(serializeEvents(result.data.events, format), `events.${format}`);
+    }
+
+    /** Reads the picked import file and shows a preview of its rows, with the errors of the invalid ones. */
+    async function handleImportFileChange() {
+        const file = importFileInput.files[0];
+        if (!file) return;
+
+        let rows;
+        try {
+            rows = await readEventFile(file);
+        } catch (error) {
+            showToast(error.message, ToastType.ERROR);
+            resetImport();
+            return;
+        }
+
+        importedRows = rows.map(parseEventRow);
+        const tableBody = importPreview.querySelector("tbody");
+        tableBody.innerHTML = "";
+        importedRows.forEach(({ event, errors }, index) => {
+            const row = rows[index];
+            const tableRow = document.createElement("tr");
+            tableRow.classList.toggle("invalid", !event);
+            // Cells are filled as text, since the file's content can't be trusted as HTML
+            const cells = [
+                index + 1,
+                event ? event.title : row.title,
+                event ? formatEventDateRange(event) : `${row.start ?? ""} – ${row.end ?? ""}`,
+                event ? event.capacity : row.capacity,
+                event ? "Ready" : errors.join(" "),
+            ];
+            cells.forEach(value => {
+                const cell = document.createElement("td");
+                cell.textContent = value ?? "";
+                tableRow.appendChild(cell);
+            });
+            tableBody.appendChild(tableRow);
+        });
+
+        const validCount = importedRows.filter(({ event }) => event).length;
+        document.getElementById("import-summary").textContent =
+            `${validCount} of ${importedRows.length} rows are valid. Rows with errors will be skipped.`;
+        const confirmButton = document.getElementById("import-confirm-btn");
+        confirmButton.disabled = validCount === 0;
+        confirmButton.textContent = `Import ${validCount} event${validCount === 1 ? "" : "s"}`;
+        importPreview.hidden = false;
+    }
+
+    /**
+     * Creates the valid events of the previewed file, one at a time.
+     * If some are rejected, e.g. by the API's validation, the preview stays open with the reason next to each of them.
+     */
+    async function handleImportConfirm() {
+        const confirmButton = document.getElementById("import-confirm-btn");
+        confirmButton.disabled = true;
+
+        const tableRows = importPreview.querySelector("tbody").rows;
+        const failures = [];
+        let attempted = 0;
+        for (const [index, { event }] of importedRows.entries()) {
+            if (!event) continue;
+            attempted++;
+            const result = await createEvent(event);
+            if (!result.ok) failures.push({ title: event.title, message: result.error.message });
+            // The status cell now tells whether the row was imported
+            tableRows[index].classList.toggle("invalid", !result.ok);
+            tableRows[index].lastElementChild.textContent = result.ok ? "Imported" : result.error.message;
+        }
+        loadAdminView();
+
+        const created = attempted - failures.length;
+        if (failures.length === 0) {
+            showToast(`${created} ${created === 1 ? "event was" : "events were"} imported.`, ToastType.SUCCESS);
+            resetImport();
+            return;
+        }
+        importedRows = []; // Nothing left to import; the preview only reports what happened
+        confirmButton.textContent = "Import";
+        document.getElementById("import-summary").textContent =
+            `${created} of ${attempted} events ${created === 1 ? "was" : "were"} imported. Not imported: ${failures.map(({ title }) => `"${title}"`).join(", ")}. The reasons are shown below.`;
+        showToast(`${failures.length} of ${attempted} events could not be imported. The reasons are shown in the import preview.`, ToastType.WARNING);
+    }
+
+    /** Clears the import file and hides its preview. */
+    function resetImport() {
+        importedRows = [];
+        importFileInput.value = "";
+        importPreview.hidden = true;
+    }
+
+    /** Downloads every event as a single .ics file. */
+    async function handleCalendarExport() {
+        const result = await exportEventCatalogue();
+        if (result.ok) downloadFile(result.data, "events.ics");
+        else notifyError(result.error);
+    }
+            
+
+    /**
+     * Applies a change made elsewhere (a registration, another administrator or another tab) to the cards on screen.
+     * New events are left out, since they may not match the filters or belong on the loaded pages.
+     */
+    function handleEventChange({ type, id, event }) {
+        const card = eventListElement.querySelector(`.event-card[data-event-id="${id}"]`);
+        if (!card) return;
+        if (type === EventChange.UPDATED) card.replaceWith(createEventCard(event));
+        if (type === EventChange.DELETED) card.remove();
+    }
+
+    /** Main function to fetch all necessary data and render the admin dashboard, starting from the first page. */
+    async function loadAdminView() {
+        await eventList.reset();
+    }
+
+    // --- ATTACH EVENT LISTENERS for the Admin View ---   
+    // Attach the click handler to the event list container
+    // This allows us to handle clicks on dynamically created buttons
+    eventListElement.addEventListener("click", handleEventListClick);
+    eventForm.addEventListener("submit", handleEventFormSubmit);
+    watchEventChanges(eventListElement, handleEventChange);
+    document.getElementById("export-calendar-btn")?.addEventListener("click", handleCalendarExport);
+    document.querySelectorAll(".export-btn[data-format]").forEach(button => {
+        button.addEventListener("click", () => handleListExport(button.dataset.format));
+    });
+    importFileInput?.addEventListener("change", handleImportFileChange);
+    document.getElementById("import-confirm-btn")?.addEventListener("click", handleImportConfirm);
+    document.getElementById("import-cancel-btn")?.addEventListener("click", resetImport);
+    populateTimeZones();
+    imageInput.addEventListener("change", handleImageChange);
+    document.getElementById("event-image-remove").addEventListener("click", () => showCoverImage(null));
+    // The category options must exist before the filters are read from the URL
+    categories = await loadCategories();
+    fillCategoryOptions(filterForm.elements.category, categories);
+    fillCategoryOptions(document.getElementById("event-category"), categories);
+    document.getElementById("event-start").addEventListener("input", updateDateWarning);
+    document.getElementById("event-timezone").addEventListener("change", updateDateWarning);
+    clearFieldErrorsOnInput(eventForm);
+    filters = bindFilterToolbar(filterForm, (newFilters) => {
+        filters = newFilters;
+        loadAdminView();
+    });
+    await loadAdminView();
+    if (editingId) startEditing(editingId);
+}
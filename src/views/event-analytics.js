@@ -0,0 +1,165 @@
+/**
+ * @file Logic for the analytics page, reachable at /admin-dashboard/analytics.
+ * Administrators see how full the events are, how registrations grew, which locations draw the most people,
+ * which events are about to sell out and how many attendees didn't show up.
+ */
+
+import { getAllEvents } from "../controllers/eventController.js";
+import { getAllTickets } from "../controllers/ticketController.js";
+import { getAllUsers } from "../controllers/userController.js";
+import { Role } from "../permissions.js";
+import {
+    NEAR_CAPACITY_RATIO, getOccupancy, getAverageOccupancy, findEventsNearCapacity,
+    rankLocations, getRegistrationTimeline, computeNoShows,
+} from "../utils/analytics.js";
+import { renderBarChart, renderLineChart } from "../utils/charts.js";
+import { formatEventDateRange, isPastEvent } from "../utils/dates.js";
+import { notifyError } from "../utils/notifications.js";
+import { html, setHtml } from "../utils/html.js";
+import { watchEventChanges } from "../utils/liveUpdates.js";
+
+/**
+ * Formats a ratio as a whole percentage.
+ * @param {number} ratio - The ratio, e.g. 0.75.
+ * @returns {string} The percentage, e.g. "75%".
+ */
+function formatPercent(ratio) {
+    return `${Math.round(ratio * 100)}%`;
+}
+
+/**
+ * Initializes the analytics view.
+ */
+export default async function initializeEventAnalytics() {
+    const summaryElement = document.getElementById("analytics-summary");
+    const occupancyChart = document.getElementById("occupancy-chart");
+    const registrationsNote = document.getElementById("registrations-note");
+    const registrationsChart = document.getElementById("registrations-chart");
+    const locationsChart = document.getElementById("locations-chart");
+    const nearCapacityList = document.getElementById("near-capacity-list");
+    const noShowList = document.getElementById("no-show-list");
+    if (!summaryElement || !occupancyChart || !registrationsNote || !registrationsChart
+        || !locationsChart || !nearCapacityList || !noShowList) return;
+
+    /** Renders the key figures. */
+    function renderSummary(events, users, noShows) {
+        const upcoming = events.filter(event => !isPastEvent(event)).length;
+        const registrations = events.reduce((sum, event) => sum + event.attendees.length, 0);
+        const visitors = users.filter(user => user.role === Role.VISITOR);
+        const attendeeIds = new Set(events.flatMap(event => event.attendees.map(String)));
+        const activeVisitors = visitors.filter(user => attendeeIds.has(String(user.id))).length;
+
+        const figures = [
+            ["Events", `${events.length} (${upcoming} upcoming)`],
+            ["Registrations", registrations],
+            ["Average occupancy", formatPercent(getAverageOccupancy(events))],
+            ["Visitors registered", `${activeVisitors} of ${visitors.length}`],
+            ["No-show rate", noShows.rate === null ? "No check-ins yet" : formatPercent(noShows.rate)],
+        ];
+        setHtml(summaryElement, figures.map(([label, value]) => html`<div><dt>${label}</dt><dd>${value}</dd></div>`));
+    }
+
+    /** Renders one bar per event, fullest first. */
+    function renderOccupancy(events) {
+        if (events.length === 0) {
+            setHtml(occupancyChart, html`<p class="list-status">There are no events yet.</p>`);
+            return;
+        }
+        const items = events
+            .map(getOccupancy)
+            .sort((a, b) => b.ratio - a.ratio)
+            .map(({ event, ratio }) => ({
+                label: event.title,
+                value: ratio,
+                className: isPastEvent(event) ? "past" : ratio >= NEAR_CAPACITY_RATIO ? "near-capacity" : "",
+            }));
+        setHtml(occupancyChart, renderBarChart(items, { label: "Share of seats taken per event", max: 1, formatValue: formatPercent }));
+    }
+
+    /** Renders the running total of registrations. */
+    function renderRegistrations(tickets) {
+        const { undated, points } = getRegistrationTimeline(tickets);
+        registrationsNote.hidden = undated === 0;
+        registrationsNote.textContent = `${undated} ${undated === 1 ? "registration was" : "registrations were"} made before registration dates were recorded, and ${undated === 1 ? "is" : "are"} counted from the start.`;
+        if (points.length === 0) {
+            setHtml(registrationsChart, html`<p class="list-status">No registration dates recorded yet.</p>`);
+            return;
+        }
+        const values = points.map(({ time, total }) => ({ time, value: total }));
+        setHtml(registrationsChart, renderLineChart(values, { label: "Total registrations over time" }));
+    }
+
+    /** Renders the locations with the most registrations. */
+    function renderLocations(events) {
+        const locations = rankLocations(events);
+        if (locations.length === 0) {
+            setHtml(locationsChart, html`<p class="list-status">There are no events yet.</p>`);
+            return;
+        }
+        const items = locations.map(({ location, registered }) => ({ label: location, value: registered }));
+        setHtml(locationsChart, renderBarChart(items, { label: "Registrations per location" }));
+    }
+
+    /** Renders the upcoming events that are almost full. */
+    function renderNearCapacity(events) {
+        const nearCapacity = findEventsNearCapacity(events);
+        if (nearCapacity.length === 0) {
+            setHtml(nearCapacityList, html`<tr><td colspan="4">No upcoming event is over ${formatPercent(NEAR_CAPACITY_RATIO)} full.</td></tr>`);
+            return;
+        }
+        setHtml(nearCapacityList, nearCapacity.map(({ event, registered, capacity, ratio }) => html`
+            <tr>
+                <td><a href="/admin-dashboard/events/${event.id}/attendees">${event.title}</a></td>
+                <td>${formatEventDateRange(event)}</td>
+                <td>${registered} / ${capacity}</td>
+                <td>${formatPercent(ratio)}</td>
+            </tr>
+        `));
+    }
+
+    /** Renders the no-shows of each past event that was checked in. */
+    function renderNoShows(noShows) {
+        if (noShows.events.length === 0) {
+            setHtml(noShowList, html`<tr><td colspan="4">No past event has check-ins yet.</td></tr>`);
+            return;
+        }
+        setHtml(noShowList, noShows.events.map(({ event, registered, checkedIn, noShows: missing }) => html`
+            <tr>
+                <td><a href="/admin-dashboard/events/${event.id}/attendees">${event.title}</a></td>
+                <td>${registered}</td>
+                <td>${checkedIn}</td>
+                <td>${missing} (${formatPercent(registered > 0 ? missing / registered : 0)})</td>
+            </tr>
+        `));
+    }
+
+    /** Fetches the events, tickets and users, and renders every statistic. */
+    async function loadAnalytics() {
+        const [eventsResult, ticketsResult, usersResult] = await Promise.all([getAllEvents(), getAllTickets(), getAllUsers()]);
+        const failed = [eventsResult, ticketsResult, usersResult].find(result => !result.ok);
+        if (failed) {
+            setHtml(summaryElement, html`<p class="list-status">The analytics could not be loaded.</p>`);
+            notifyError(failed.error);
+            return;
+        }
+
+        const events = eventsResult.data.events;
+        // The tickets of the events in the trash don't count
+        const eventIds = new Set(events.map(event => String(event.id)));
+        const tickets = ticketsResult.data.filter(ticket => eventIds.has(String(ticket.eventId)));
+        const noShows = computeNoShows(events, tickets);
+
+        renderSummary(events, usersResult.data, noShows);
+        renderOccupancy(events);
+        renderRegistrations(tickets);
+        renderLocations(events);
+        renderNearCapacity(events);
+        renderNoShows(noShows);
+    }
+
+    // --- ATTACH EVENT LISTENERS for the Analytics View ---
+    // Registrations and event changes made by anyone keep the figures current
+    watchEventChanges(summaryElement, () => loadAnalytics());
+
+    loadAnalytics();
+}
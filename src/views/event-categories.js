@@ -0,0 +1,155 @@
+/**
+ * @file Logic for the category management view, reachable at /admin-dashboard/categories.
+ * Administrators add, rename, recolor and delete the categories events are grouped in.
+ */
+
+import Category from "../models/category.js";
+import { hasErrors } from "../models/validation.js";
+import { getCategories, createCategory, updateCategory, deleteCategory } from "../controllers/categoryController.js";
+import { getAllEvents } from "../controllers/eventController.js";
+import { showFieldErrors, clearFieldErrors, clearFieldErrorsOnInput } from "../utils/formErrors.js";
+import { showToast, notifyError, ToastType } from "../utils/notifications.js";
+import { confirmDialog } from "../utils/dialog.js";
+import { ErrorType } from "../utils/api.js";
+import { html, setHtml } from "../utils/html.js";
+
+/**
+ * The ID of the input of each category field in the "Add category" form, to show its errors.
+ * @type {Object.<string, string>}
+ */
+const INPUT_IDS = {
+    name: "category-name",
+    color: "category-color",
+};
+
+/**
+ * Initializes the category management view.
+ */
+export default async function initializeEventCategories() {
+    const categoryList = document.getElementById("category-list");
+    const categoryForm = document.getElementById("category-form");
+    if (!categoryList || !categoryForm) return;
+
+    // The categories currently listed, to look up the clicked one
+    let categories = [];
+
+    /** Renders one editable table row per category. */
+    function renderCategories() {
+        if (categories.length === 0) {
+            setHtml(categoryList, html`<tr><td colspan="4">There are no categories yet.</td></tr>`);
+            return;
+        }
+        setHtml(categoryList, categories.map(category => html`
+            <tr>
+                <td><span class="chip category-chip" style="--chip-color: ${category.color}">${category.name}</span></td>
+                <td><input type="text" class="category-name-input" value="${category.name}" maxlength="40" aria-label="Name of ${category.name}"></td>
+                <td><input type="color" class="category-color-input" value="${category.color}" aria-label="Color of ${category.name}"></td>
+                <td class="actions">
+                    <button class="save-category-btn" data-id="${category.id}">Save</button>
+                    <button class="delete-btn" data-id="${category.id}">Delete</button>
+                </td>
+            </tr>
+        `));
+    }
+
+    /** Fetches and renders the categories. */
+    async function loadCategories() {
+        const result = await getCategories();
+        if (!result.ok) {
+            setHtml(categoryList, html`<tr><td colspan="4">The categories could not be loaded.</td></tr>`);
+            notifyError(result.error);
+            return;
+        }
+        categories = result.data;
+        renderCategories();
+    }
+
+    /** Adds the category described in the form. */
+    async function handleCreate(event) {
+        event.preventDefault();
+        const name = document.getElementById("category-name").value;
+        const color = document.getElementById("category-color").value;
+
+        const errors = Category.validate({ name, color });
+        if (hasErrors(errors)) {
+            showFieldErrors(categoryForm, errors, INPUT_IDS);
+            return;
+        }
+        clearFieldErrors(categoryForm);
+
+        const result = await createCategory(new Category(name, color));
+        if (!result.ok) {
+            // e.g. a name that is already taken
+            if (result.error.type === ErrorType.VALIDATION && result.error.fieldErrors) {
+                showFieldErrors(categoryForm, result.error.fieldErrors, INPUT_IDS);
+            }
+            notifyError(result.error);
+            return;
+        }
+        showToast(`The category "${result.data.name}" was added.`, ToastType.SUCCESS);
+        categoryForm.reset();
+        loadCategories();
+    }
+
+    /** Saves the name and color typed in a category's row. */
+    async function handleSave(category, row) {
+        const name = row.querySelector(".category-name-input").value.trim();
+        const color = row.querySelector(".category-color-input").value;
+
+        const errors = Category.validate({ name, color });
+        if (hasErrors(errors)) {
+            showToast(Object.values(errors).join(" "), ToastType.ERROR);
+            return;
+        }
+
+        const result = await updateCategory(category.id, { name, color });
+        if (!result.ok) {
+            notifyError(result.error);
+            return;
+        }
+        showToast(`The category "${result.data.name}" was saved.`, ToastType.SUCCESS);
+        loadCategories();
+    }
+
+    /** Deletes a category once the administrator confirms, telling them how many events use it. */
+    async function handleDelete(category) {
+        const eventsResult = await getAllEvents({ category: category.id, page: 1, limit: 1 });
+        if (!eventsResult.ok) {
+            notifyError(eventsResult.error);
+            return;
+        }
+        const count = eventsResult.data.total;
+        const confirmed = await confirmDialog({
+            title: `Delete the category "${category.name}"?`,
+            details: [count === 0
+                ? "No events are in this category."
+                : `${count} ${count === 1 ? "event is" : "events are"} in this category. They will be kept, without a category.`],
+            confirmLabel: "Delete category",
+            danger: true,
+        });
+        if (!confirmed) return;
+
+        const result = await deleteCategory(category.id);
+        if (!result.ok) {
+            notifyError(result.error);
+            return;
+        }
+        showToast(`The category "${category.name}" was deleted.`, ToastType.SUCCESS);
+        loadCategories();
+    }
+
+    /** Handles clicks on the 'Save' and 'Delete' buttons of the rows. */
+    function handleCategoryListClick(clickEvent) {
+        const category = categories.find(listed => String(listed.id) === clickEvent.target.dataset.id);
+        if (!category) return;
+        if (clickEvent.target.matches(".save-category-btn")) handleSave(category, clickEvent.target.closest("tr"));
+        else if (clickEvent.target.matches(".delete-btn")) handleDelete(category);
+    }
+
+    // --- ATTACH EVENT LISTENERS for the Categories View ---
+    categoryForm.addEventListener("submit", handleCreate);
+    clearFieldErrorsOnInput(categoryForm);
+    categoryList.addEventListener("click", handleCategoryListClick);
+
+    loadCategories();
+}
@@ -0,0 +1,191 @@
+/**
+ * @file Logic for the check-in screen of an event, reachable at /admin-dashboard/events/:id/check-in.
+ * Staff scan (with the camera or a handheld scanner, which types the code) or type ticket codes
+ * to let attendees in. The checked-in count is refreshed periodically, so several devices
+ * can check in the same event at once.
+ */
+
+import { getEventById } from "../controllers/eventController.js";
+import { checkInTicket, getCheckInStats } from "../controllers/ticketController.js";
+import { ErrorType } from "../utils/api.js";
+import { showToast, ToastType } from "../utils/notifications.js";
+import { can, Action } from "../permissions.js";
+
+/**
+ * How often the checked-in count is refreshed, in milliseconds.
+ * @type {number}
+ */
+const STATS_REFRESH_MS = 5000;
+
+/**
+ * How long the camera ignores the code it just read, in milliseconds, so a ticket held
+ * in front of it isn't reported as a duplicate over and over.
+ * @type {number}
+ */
+const SCAN_COOLDOWN_MS = 3000;
+
+/**
+ * Initializes the check-in screen of an event.
+ * @param {object} context - The route context.
+ * @param {object} context.user - The logged-in user, who must be allowed to manage the event's attendees.
+ * @param {Object.<string, string>} context.params - The route parameters; `id` is the event's ID.
+ */
+export default async function initializeEventCheckIn({ user, params }) {
+    const eventId = params.id;
+    const titleElement = document.getElementById("check-in-title");
+    const countElement = document.getElementById("check-in-count");
+    const checkInForm = document.getElementById("check-in-form");
+    const codeInput = document.getElementById("ticket-code");
+    const scanButton = document.getElementById("scan-btn");
+    const video = document.getElementById("scan-preview");
+    const resultElement = document.getElementById("check-in-result");
+    const logElement = document.getElementById("check-in-log");
+    if (!titleElement || !countElement || !checkInForm || !codeInput || !scanButton || !video || !resultElement || !logElement) return;
+
+    let cameraStream = null;
+    let lastScan = { code: null, time: 0 };
+
+    /** Shows the checked-in and registered counts. */
+    function renderStats(stats) {
+        if (!stats) return;
+        countElement.textContent = `${stats.checkedIn} / ${stats.registered} checked in`;
+    }
+
+    /**
+     * Describes the result of a check-in for the screen. Rejected tickets are part of the normal flow
+     * at the door, so they are told apart: "duplicate" (already used), "invalid" (unknown code or
+     * for another event) or "error" (the check could not be made).
+     */
+    function toOutcome(result) {
+        if (result.ok) return { status: "checked-in", ...result.data };
+
+        const { type, message, details = {} } = result.error;
+        if (type !== ErrorType.NOT_FOUND && type !== ErrorType.CONFLICT) return { status: "error", message };
+        return { ...details, status: details.ticket?.checkedInAt ? "duplicate" : "invalid", message };
+    }
+
+    /** Shows the outcome of a check-in in the result panel and adds it to the log. */
+    function renderResult(result) {
+        const who = result.attendee ? result.attendee.email || `User #${result.attendee.id}` : null;
+        let message;
+        if (result.status === "checked-in") {
+            message = `${who} is checked in.`;
+        } else if (result.status === "duplicate") {
+            const time = new Date(result.ticket.checkedInAt).toLocaleTimeString();
+            message = `Already checked in at ${time}: ${who}.`;
+        } else {
+            message = who ? `${result.message} (${who})` : result.message;
+        }
+
+        resultElement.className = `check-in-result ${result.status}`;
+        resultElement.textContent = message;
+        resultElement.hidden = false;
+
+        const entry = document.createElement("li");
+        entry.className = result.status;
+        entry.textContent = `${new Date().toLocaleTimeString()} · ${message}`;
+        logElement.prepend(entry);
+    }
+
+    /** Sends a code to the server and shows what happened. */
+    async function checkIn(code) {
+        const outcome = toOutcome(await checkInTicket(eventId, code.trim()));
+        renderResult(outcome);
+        renderStats(outcome.stats);
+    }
+
+    /** Handles a code typed by hand or by a handheld scanner, which ends with Enter. */
+    async function handleCheckInSubmit(event) {
+        event.preventDefault();
+        const code = codeInput.value;
+        codeInput.value = "";
+        await checkIn(code);
+        codeInput.focus(); // Ready for the next attendee
+    }
+
+    /** Releases the camera. */
+    function stopCamera() {
+        if (cameraStream) cameraStream.getTracks().forEach(track => track.stop());
+        cameraStream = null;
+        video.hidden = true;
+        scanButton.textContent = "Scan with camera";
+    }
+
+    /** Reads QR codes from the camera until it is stopped or the user leaves the screen. */
+    async function scanLoop(detector) {
+        if (!cameraStream) return;
+        if (!video.isConnected) {
+            stopCamera();
+            return;
+        }
+
+        try {
+            const [barcode] = await detector.detect(video);
+            const now = Date.now();
+            if (barcode && (barcode.rawValue !== lastScan.code || now - lastScan.time > SCAN_COOLDOWN_MS)) {
+                lastScan = { code: barcode.rawValue, time: now };
+                await checkIn(barcode.rawValue);
+            }
+        } catch (error) {
+            console.error("Error reading QR code:", error);
+        }
+        requestAnimationFrame(() => scanLoop(detector));
+    }
+
+    /** Turns the camera scanner on or off. */
+    async function toggleCamera() {
+        if (cameraStream) {
+            stopCamera();
+            return;
+        }
+
+        try {
+            cameraStream = await navigator.mediaDevices.getUserMedia({ video: { facingMode: "environment" } });
+        } catch (error) {
+            showToast("The camera could not be opened. You can still type or scan the codes into the field.", ToastType.WARNING);
+            console.error("Error opening camera:", error);
+            return;
+        }
+        video.srcObject = cameraStream;
+        video.hidden = false;
+        await video.play();
+        scanButton.textContent = "Stop camera";
+        scanLoop(new window.BarcodeDetector({ formats: ["qr_code"] }));
+    }
+
+    /** Refreshes the count, and stops refreshing once the user has left the screen. */
+    async function refreshStats() {
+        if (!countElement.isConnected) {
+            clearInterval(refreshTimer);
+            stopCamera();
+            return;
+        }
+        // A failed refresh keeps the last count; the next one will try again
+        const result = await getCheckInStats(eventId);
+        if (result.ok) renderStats(result.data);
+    }
+
+    const eventResult = await getEventById(eventId);
+    if (!eventResult.ok) {
+        titleElement.textContent = eventResult.error.type === ErrorType.NOT_FOUND ? "Event not found" : eventResult.error.message;
+        checkInForm.hidden = true;
+        return;
+    }
+    titleElement.textContent = `Check-in: ${eventResult.data.title}`;
+    if (!can(user, Action.MANAGE_ATTENDEES, eventResult.data)) {
+        countElement.textContent = "You can only check in the attendees of the events you organize.";
+        checkInForm.hidden = true;
+        return;
+    }
+
+    // --- ATTACH EVENT LISTENERS for the Check-in View ---
+    checkInForm.addEventListener("submit", handleCheckInSubmit);
+    if ("BarcodeDetector" in window && navigator.mediaDevices?.getUserMedia) {
+        scanButton.hidden = false;
+        scanButton.addEventListener("click", toggleCamera);
+    }
+
+    const refreshTimer = setInterval(refreshStats, STATS_REFRESH_MS);
+    refreshStats();
+    codeInput.focus();
+}
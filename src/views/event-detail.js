@@ -0,0 +1,105 @@
+/**
+ * @file Logic for the event detail view, reachable at /events/:id.
+ */
+
+import { getEventById } from "../controllers/eventController.js";
+import { renderEnrollButton, runRegistrationAction } from "../utils/registration.js";
+import { getDashboardPath } from "../router.js";
+import { isPastEvent, formatEventDateRange } from "../utils/dates.js";
+import { renderCalendarLink } from "../utils/calendar.js";
+import { notifyError } from "../utils/notifications.js";
+import { ErrorType } from "../utils/api.js";
+import { html, setHtml } from "../utils/html.js";
+import { loadCategories, renderEventChips, renderEventCover } from "../utils/eventLabels.js";
+import { watchEventChanges, EventChange } from "../utils/liveUpdates.js";
+import { can, Action } from "../permissions.js";
+
+/**
+ * Initializes the Event Detail view for a single event.
+ * Guests can read the event; visitors can register, unregister or use the waitlist from here,
+ * and the users who may edit the event get a link to do so.
+ * @param {object} context - The route context.
+ * @param {object|null} context.user - The currently logged-in user, or null for guests.
+ * @param {Object.<string, string>} context.params - The route parameters; `id` is the event's ID.
+ */
+export default async function initializeEventDetail({ user, params }) {
+    const eventId = params.id;
+    const detailElement = document.getElementById("event-detail");
+    if (!detailElement) return;
+
+    // The categories by ID, to render the event's chips. They are loaded once, along with the event
+    const categoriesPromise = loadCategories();
+    let categories = new Map();
+
+    /** Renders the full information of the event and the actions available to the user. */
+    function renderEventDetail(event) {
+        const isRegistered = user ? event.attendees.includes(user.id) : false;
+        const hasCapacity = event.attendees.length < event.capacity;
+        const waitlistPosition = user ? (event.waitlist || []).indexOf(user.id) + 1 : 0;
+
+        let actions;
+        if (!user) {
+            actions = html`<p><a href="/login">Log in</a> to register for this event.</p>`;
+        } else if (can(user, Action.UPDATE_EVENT, event)) {
+            actions = html`<a href="/admin-dashboard/events/${event.id}/edit">Edit this event</a>`;
+        } else if (!can(user, Action.REGISTER)) {
+            actions = ""; // e.g. organizers looking at someone else's event
+        } else if (isPastEvent(event)) {
+            actions = html`<p>This event has already taken place${isRegistered ? " (you were registered)" : ""}.</p>`;
+        } else if (isRegistered) {
+            actions = html`<button class="unenroll-btn" data-event-id="${event.id}">Unregister</button>`;
+        } else {
+            actions = renderEnrollButton(event, isRegistered, hasCapacity, waitlistPosition);
+        }
+
+        setHtml(detailElement, html`
+            ${renderEventCover(event)}
+            <h1>${event.title}</h1>
+            ${renderEventChips(event, categories)}
+            <p>${event.description}</p>
+            <p><strong>Location:</strong> ${event.location}</p>
+            <p><strong>When:</strong> ${formatEventDateRange(event)}</p>
+            <p><strong>Capacity:</strong> ${event.capacity}</p>
+            <p><strong>Attendees:</strong> ${event.attendees.length} / ${event.capacity}</p>
+            ${waitlistPosition ? html`<p><strong>Waitlist position:</strong> ${waitlistPosition} of ${event.waitlist.length}</p>` : ""}
+            <div class="actions">${actions} ${renderCalendarLink(event)}</div>
+        `);
+    }
+
+    /** Fetches the event and renders it, or a not-found message. */
+    async function loadEventDetail() {
+        const [result, loadedCategories] = await Promise.all([getEventById(eventId), categoriesPromise]);
+        categories = loadedCategories;
+        if (result.ok) {
+            renderEventDetail(result.data);
+        } else if (result.error.type === ErrorType.NOT_FOUND) {
+            detailElement.innerHTML = "<p>This event does not exist or has been removed.</p>";
+        } else {
+            detailElement.innerHTML = "<p>The event could not be loaded.</p>";
+            notifyError(result.error);
+        }
+    }
+
+    // --- ATTACH EVENT LISTENERS for the Detail View ---
+    detailElement.addEventListener("click", async (event) => {
+        if (await runRegistrationAction(event.target)) loadEventDetail();
+    });
+
+    // Keep the seats and the user's options up to date while the page is open
+    watchEventChanges(detailElement, ({ type, id, event }) => {
+        if (String(id) !== String(eventId)) return;
+        if (type === EventChange.DELETED) {
+            detailElement.innerHTML = "<p>This event does not exist or has been removed.</p>";
+        } else {
+            renderEventDetail(event);
+        }
+    });
+
+    // Point the back link to the user's dashboard
+    const backLink = document.getElementById("back-link");
+    if (backLink && user) {
+        backLink.setAttribute("href", getDashboardPath(user));
+    }
+
+    loadEventDetail();
+}
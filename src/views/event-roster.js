@@ -0,0 +1,164 @@
+/**
+ * @file Logic for the attendee roster of an event, reachable at /admin-dashboard/events/:id/attendees.
+ * Administrators see who is coming, add or remove attendees and export the list for check-in at the door.
+ */
+
+import { getEventById, addAttendee, removeAttendee } from "../controllers/eventController.js";
+import { getUsersByIds } from "../controllers/userController.js";
+import { formatEventDateRange } from "../utils/dates.js";
+import { toCsv } from "../utils/csv.js";
+import { downloadFile } from "../utils/download.js";
+import { showToast, notifyError, ToastType } from "../utils/notifications.js";
+import { confirmDialog } from "../utils/dialog.js";
+import { ErrorType } from "../utils/api.js";
+import { html, setHtml } from "../utils/html.js";
+import { can, Action } from "../permissions.js";
+
+/**
+ * The columns of the exported roster. `checkedIn` is left blank to be ticked at the door.
+ * @type {string[]}
+ */
+const ROSTER_COLUMNS = ["position", "userId", "email", "checkedIn"];
+
+/**
+ * Initializes the roster view of an event.
+ * @param {object} context - The route context.
+ * @param {object} context.user - The logged-in user, who must be allowed to manage the event's attendees.
+ * @param {Object.<string, string>} context.params - The route parameters; `id` is the event's ID.
+ */
+export default async function initializeEventRoster({ user: currentUser, params }) {
+    const eventId = params.id;
+    const titleElement = document.getElementById("roster-title");
+    const summaryElement = document.getElementById("roster-summary");
+    const rosterList = document.getElementById("roster-list");
+    const addForm = document.getElementById("add-attendee-form");
+    const exportButton = document.getElementById("roster-export-btn");
+    if (!titleElement || !summaryElement || !rosterList || !addForm || !exportButton) return;
+
+    // The event and its attendees resolved to users, in registration order
+    let currentEvent = null;
+    let roster = [];
+
+    /** Pairs each attendee ID with its user. Deleted accounts keep their ID but have no email. */
+    async function resolveRoster(event) {
+        const result = await getUsersByIds(event.attendees);
+        // Without the users, the roster still lists the attendees by ID
+        if (!result.ok) notifyError(result.error);
+        const users = result.ok ? result.data : [];
+        const usersById = new Map(users.map(user => [String(user.id), user]));
+        return event.attendees.map((userId, index) => ({
+            position: index + 1,
+            userId,
+            email: usersById.get(String(userId))?.email ?? "",
+        }));
+    }
+
+    /** Renders the event's header and one table row per attendee. */
+    function renderRoster() {
+        titleElement.textContent = `Attendees: ${currentEvent.title}`;
+        summaryElement.textContent = `${formatEventDateRange(currentEvent)} · ${currentEvent.location} · `
+            + `${currentEvent.attendees.length} / ${currentEvent.capacity} registered`
+            + ((currentEvent.waitlist || []).length ? `, ${currentEvent.waitlist.length} on the waitlist` : "");
+
+        rosterList.innerHTML = "";
+        if (roster.length === 0) {
+            rosterList.innerHTML = `<tr><td colspan="4">Nobody has registered for this event yet.</td></tr>`;
+            return;
+        }
+
+        roster.forEach(({ position, userId, email }) => {
+            const row = document.createElement("tr");
+            setHtml(row, html`
+                <td>${position}</td>
+                <td>${email || html`<em>Unknown user</em>`}</td>
+                <td>${userId}</td>
+                <td><button class="remove-attendee-btn" data-user-id="${userId}">Remove</button></td>
+            `);
+            rosterList.appendChild(row);
+        });
+    }
+
+    /** Shows an updated event, resolving its attendees again. */
+    async function showEvent(event) {
+        currentEvent = event;
+        roster = await resolveRoster(event);
+        renderRoster();
+    }
+
+    /** Fetches the event and renders its roster, or a not-found message. */
+    async function loadRoster() {
+        const result = await getEventById(eventId);
+        if (!result.ok) {
+            const notFound = result.error.type === ErrorType.NOT_FOUND;
+            titleElement.textContent = notFound ? "Event not found" : "Event unavailable";
+            summaryElement.textContent = notFound ? "This event does not exist or has been removed." : result.error.message;
+            addForm.hidden = true;
+            exportButton.hidden = true;
+            return;
+        }
+        if (!can(currentUser, Action.MANAGE_ATTENDEES, result.data)) {
+            titleElement.textContent = result.data.title;
+            summaryElement.textContent = "You can only manage the attendees of the events you organize.";
+            addForm.hidden = true;
+            exportButton.hidden = true;
+            return;
+        }
+        await showEvent(result.data);
+    }
+
+    /** Removes an attendee after confirmation. Their seat goes to the waitlist, if anyone is waiting. */
+    async function handleRosterClick(event) {
+        if (!event.target.matches(".remove-attendee-btn")) return;
+
+        const userId = event.target.dataset.userId;
+        const attendee = roster.find(entry => String(entry.userId) === userId);
+        const confirmed = await confirmDialog({
+            title: `Remove ${attendee?.email || `user #${userId}`} from this event?`,
+            details: [
+                (currentEvent.waitlist || []).length > 0
+                    ? "Their ticket will be cancelled, and the seat offered to the first person on the waitlist."
+                    : "Their ticket will be cancelled.",
+            ],
+            confirmLabel: "Remove attendee",
+            danger: true,
+        });
+        if (!confirmed) return;
+
+        const result = await removeAttendee(eventId, userId);
+        if (!result.ok) {
+            notifyError(result.error);
+            return;
+        }
+        showToast(`${attendee?.email || `User #${userId}`} was removed from the event.`, ToastType.SUCCESS);
+        await showEvent(result.data);
+    }
+
+    /** Registers the user with the entered email for the event. */
+    async function handleAddAttendee(event) {
+        event.preventDefault();
+        const email = document.getElementById("attendee-email").value.trim();
+
+        const result = await addAttendee(eventId, email);
+        if (!result.ok) {
+            notifyError(result.error);
+            return;
+        }
+        showToast(`${email} was added to the event.`, ToastType.SUCCESS);
+        addForm.reset();
+        await showEvent(result.data);
+    }
+
+    /** Downloads the roster as CSV, named after the event. */
+    function handleExport() {
+        const fileName = currentEvent.title.toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "") || "event";
+        const csv = toCsv(roster.map(entry => ({ ...entry, checkedIn: "" })), ROSTER_COLUMNS);
+        downloadFile(new Blob([csv], { type: "text/csv;charset=utf-8" }), `${fileName}-attendees.csv`);
+    }
+
+    // --- ATTACH EVENT LISTENERS for the Roster View ---
+    rosterList.addEventListener("click", handleRosterClick);
+    addForm.addEventListener("submit", handleAddAttendee);
+    exportButton.addEventListener("click", handleExport);
+
+    loadRoster();
+}
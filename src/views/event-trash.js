@@ -0,0 +1,111 @@
+/**
+ * @file Logic for the trash, reachable at /admin-dashboard/trash.
+ * Administrators restore deleted events, with their registrations, or delete them permanently.
+ */
+
+import { getDeletedEvents, restoreEvent, purgeEvent } from "../controllers/eventController.js";
+import { formatEventDateRange } from "../utils/dates.js";
+import { showToast, notifyError, ToastType } from "../utils/notifications.js";
+import { confirmDialog } from "../utils/dialog.js";
+import { html, setHtml } from "../utils/html.js";
+import { watchEventChanges, EventChange } from "../utils/liveUpdates.js";
+
+/**
+ * Initializes the trash view.
+ */
+export default async function initializeEventTrash() {
+    const trashList = document.getElementById("trash-list");
+    if (!trashList) return;
+
+    // The deleted events currently listed, to look up the clicked one
+    let deletedEvents = [];
+
+    /** Renders one table row per deleted event. */
+    function renderTrash() {
+        trashList.innerHTML = "";
+        if (deletedEvents.length === 0) {
+            trashList.innerHTML = `<tr><td colspan="5">The trash is empty.</td></tr>`;
+            return;
+        }
+
+        deletedEvents.forEach(event => {
+            const row = document.createElement("tr");
+            setHtml(row, html`
+                <td>${event.title}</td>
+                <td>${formatEventDateRange(event)}</td>
+                <td>${event.attendees.length} / ${event.capacity}</td>
+                <td>${new Date(event.deletedAt).toLocaleString()}</td>
+                <td class="actions">
+                    <button class="restore-btn" data-id="${event.id}">Restore</button>
+                    <button class="delete-btn" data-id="${event.id}">Delete permanently</button>
+                </td>
+            `);
+            trashList.appendChild(row);
+        });
+    }
+
+    /** Fetches and renders the deleted events. */
+    async function loadTrash() {
+        const result = await getDeletedEvents();
+        if (!result.ok) {
+            trashList.innerHTML = `<tr><td colspan="5">The trash could not be loaded.</td></tr>`;
+            notifyError(result.error);
+            return;
+        }
+        deletedEvents = result.data;
+        renderTrash();
+    }
+
+    /** Restores a deleted event. */
+    async function handleRestore(event) {
+        const result = await restoreEvent(event.id);
+        if (!result.ok) {
+            notifyError(result.error);
+            return;
+        }
+        showToast(`"${event.title}" was restored.`, ToastType.SUCCESS);
+        loadTrash();
+    }
+
+    /** Deletes an event permanently, after confirmation since its registrations are lost. */
+    async function handlePurge(event) {
+        const registered = event.attendees.length;
+        const confirmed = await confirmDialog({
+            title: `Delete "${event.title}" permanently?`,
+            details: [
+                registered === 0
+                    ? "Nobody was registered for this event."
+                    : `The registrations and tickets of ${registered} ${registered === 1 ? "visitor" : "visitors"} will be lost.`,
+                "This can't be undone.",
+            ],
+            confirmLabel: "Delete permanently",
+            danger: true,
+        });
+        if (!confirmed) return;
+
+        const result = await purgeEvent(event.id);
+        if (!result.ok) {
+            notifyError(result.error);
+            return;
+        }
+        showToast(`"${event.title}" was deleted permanently.`, ToastType.SUCCESS);
+        loadTrash();
+    }
+
+    /** Handles clicks on the 'Restore' and 'Delete permanently' buttons. */
+    function handleTrashClick(clickEvent) {
+        const event = deletedEvents.find(deletedEvent => String(deletedEvent.id) === clickEvent.target.dataset.id);
+        if (!event) return;
+        if (clickEvent.target.matches(".restore-btn")) handleRestore(event);
+        else if (clickEvent.target.matches(".delete-btn")) handlePurge(event);
+    }
+
+    // --- ATTACH EVENT LISTENERS for the Trash View ---
+    trashList.addEventListener("click", handleTrashClick);
+    // Events deleted or restored elsewhere, e.g. from the dashboard in another tab
+    watchEventChanges(trashList, ({ type }) => {
+        if (type !== EventChange.UPDATED) loadTrash();
+    });
+
+    loadTrash();
+}
@@ -0,0 +1,52 @@
+/**
+ * @file Logic for the login view.
+ */
+
+import { handleLogin } from "../controllers/authController.js";
+import { getCurrentUser } from "../auth.js";
+import { navigateTo, getDashboardPath } from "../router.js";
+import User from "../models/user.js";
+import { hasErrors } from "../models/validation.js";
+import { showFieldErrors, clearFieldErrors, clearFieldErrorsOnInput } from "../utils/formErrors.js";
+import { showToast, ToastType } from "../utils/notifications.js";
+
+/**
+ * The input of each validated field.
+ * @type {Object.<string, string>}
+ */
+const INPUT_IDS = { email: "email", password: "password" };
+
+/**
+ * Attaches the submit event listener to the login form.
+ */
+export default function initializeLoginForm() {
+    const form = document.getElementById("login-form");
+    // If the form doesn"t exist on the current page, do nothing.
+    if (!form) return; 
+
+    form.addEventListener("submit", async (event) => {
+        event.preventDefault(); // Prevent page reload
+        const email = form.querySelector("#email").value;
+        const password = form.querySelector("#password").value;
+
+        // Existing passwords may predate the password policy, so it is not enforced here
+        const errors = User.validate({ email, password }, { newPassword: false });
+        if (hasErrors(errors)) {
+            showFieldErrors(form, errors, INPUT_IDS);
+            return;
+        }
+        clearFieldErrors(form);
+
+        // Call our controller to handle the login process
+        const result = await handleLogin(email, password);
+        if (result.ok) {
+            // After a successful login, redirect the user to their dashboard
+            // Determine the correct dashboard based on the user's role
+            navigateTo(getDashboardPath(getCurrentUser()));
+        } else {
+            // Wrong credentials are reported here rather than through notifyError, which ignores 401s
+            showToast(result.error.message, ToastType.ERROR);
+        }
+    });
+    clearFieldErrorsOnInput(form);
+}
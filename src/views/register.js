@@ -0,0 +1,50 @@
+/**
+ * @file Logic for the registration view.
+ */
+
+import { handleRegister } from "../controllers/authController.js";
+import { navigateTo } from "../router.js";
+import User from "../models/user.js";
+import { hasErrors } from "../models/validation.js";
+import { showFieldErrors, clearFieldErrors, clearFieldErrorsOnInput } from "../utils/formErrors.js";
+import { showToast, notifyError, ToastType } from "../utils/notifications.js";
+
+/**
+ * The input of each validated field.
+ * @type {Object.<string, string>}
+ */
+const INPUT_IDS = { email: "register-email", password: "register-password" };
+
+/**
+ * Attaches the submit event listener to the registration form.
+ */
+export default function initializeRegisterForm() {
+  const form = document.getElementById("register-form");
+  if (!form) return;
+
+  form.addEventListener("submit", async (event) => {
+    event.preventDefault();
+    const email = form.querySelector("#register-email").value;
+    const password = form.querySelector("#register-password").value;
+
+    const errors = User.validate({ email, password });
+    if (hasErrors(errors)) {
+      showFieldErrors(form, errors, INPUT_IDS);
+      return;
+    }
+    clearFieldErrors(form);
+
+    // Call the controller to handle the registration
+    const result = await handleRegister(email, password);
+
+    if (result.ok) {
+      showToast("Registration successful! Please log in.", ToastType.SUCCESS);
+      navigateTo("/login"); // On success, redirect the user to the login page
+      return;
+    }
+    // A taken email or data the API rejected is shown next to the fields
+    if (result.error.fieldErrors) showFieldErrors(form, result.error.fieldErrors, INPUT_IDS);
+    notifyError(result.error);
+  });
+  clearFieldErrorsOnInput(form);
+}
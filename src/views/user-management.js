@@ -0,0 +1,162 @@
+/**
+ * @file Logic for the user management view, reachable at /admin-dashboard/users.
+ * Administrators search accounts by email, change their role, disable or enable them, and delete them.
+ * Their own account is listed but can't be changed here, so they can't lock themselves out by mistake.
+ */
+
+import { ROLES } from "../models/user.js";
+import { getAllUsers, updateUser, deleteUser } from "../controllers/userController.js";
+import { getAllEvents } from "../controllers/eventController.js";
+import { showToast, notifyError, ToastType } from "../utils/notifications.js";
+import { confirmDialog } from "../utils/dialog.js";
+import { html, setHtml } from "../utils/html.js";
+
+/**
+ * The label of each role.
+ * @type {Object.<string, string>}
+ */
+const ROLE_LABELS = {
+    visitor: "Visitor",
+    organizer: "Organizer",
+    administrator: "Administrator",
+};
+
+/**
+ * Initializes the user management view.
+ * @param {object} context - The route context.
+ * @param {object} context.user - The logged-in administrator.
+ */
+export default async function initializeUserManagement({ user: currentUser }) {
+    const userList = document.getElementById("user-list");
+    const searchForm = document.getElementById("user-search-form");
+    const searchInput = document.getElementById("user-search");
+    if (!userList || !searchForm || !searchInput) return;
+
+    // The users currently listed, to look up the one a control belongs to
+    let users = [];
+    // Incremented on every search, so the results of a previous one are discarded
+    let generation = 0;
+
+    /** Renders one table row per user. */
+    function renderUsers() {
+        if (users.length === 0) {
+            setHtml(userList, html`<tr><td colspan="4">${searchInput.value.trim() ? "No user matches this email." : "There are no users."}</td></tr>`);
+            return;
+        }
+        setHtml(userList, users.map(user => {
+            const isSelf = String(user.id) === String(currentUser.id);
+            return html`
+                <tr class="${user.disabled ? "disabled-account" : ""}">
+                    <td>${user.email}${isSelf ? " (you)" : ""}</td>
+                    <td>
+                        <select class="role-select" data-id="${user.id}" aria-label="Role of ${user.email}" ${isSelf ? "disabled" : ""}>
+                            ${ROLES.map(role => html`<option value="${role}" ${role === user.role ? "selected" : ""}>${ROLE_LABELS[role] || role}</option>`)}
+                        </select>
+                    </td>
+                    <td>${user.disabled ? "Disabled" : "Active"}</td>
+                    <td class="actions">
+                        ${isSelf ? "" : html`
+                            <button class="toggle-disabled-btn" data-id="${user.id}">${user.disabled ? "Enable" : "Disable"}</button>
+                            <button class="delete-btn" data-id="${user.id}">Delete</button>
+                        `}
+                    </td>
+                </tr>
+            `;
+        }));
+    }
+
+    /** Fetches and renders the users whose email matches the search. */
+    async function loadUsers() {
+        const requestGeneration = ++generation;
+        const result = await getAllUsers({ email: searchInput.value });
+        if (requestGeneration !== generation) return; // The search changed while loading
+        if (!result.ok) {
+            setHtml(userList, html`<tr><td colspan="4">The users could not be loaded.</td></tr>`);
+            notifyError(result.error);
+            return;
+        }
+        users = result.data;
+        renderUsers();
+    }
+
+    /** Changes a user's role to the one picked in their row. */
+    async function handleRoleChange(user, role) {
+        const result = await updateUser(user.id, { role });
+        if (!result.ok) {
+            notifyError(result.error); // e.g. demoting the last administrator
+            renderUsers(); // Puts the previous role back in the select
+            return;
+        }
+        showToast(`The role of ${user.email} was changed to ${ROLE_LABELS[role] || role}.`, ToastType.SUCCESS);
+        loadUsers();
+    }
+
+    /** Disables an enabled account, or enables a disabled one. */
+    async function handleToggleDisabled(user) {
+        const disabled = !user.disabled;
+        const result = await updateUser(user.id, { disabled });
+        if (!result.ok) {
+            notifyError(result.error);
+            return;
+        }
+        showToast(disabled ? `${user.email} can no longer log in.` : `${user.email} can log in again.`, ToastType.SUCCESS);
+        loadUsers();
+    }
+
+    /** Deletes a user once the administrator confirms, telling them how many registrations are cancelled. */
+    async function handleDelete(user) {
+        const eventsResult = await getAllEvents({ attendeeId: user.id, page: 1, limit: 1 });
+        if (!eventsResult.ok) {
+            notifyError(eventsResult.error);
+            return;
+        }
+        const count = eventsResult.data.total;
+        const confirmed = await confirmDialog({
+            title: `Delete the account of ${user.email}?`,
+            details: [
+                count === 0
+                    ? "This user isn't registered for any event."
+                    : `Their ${count === 1 ? "registration" : `${count} registrations`} and ${count === 1 ? "ticket" : "tickets"} will be cancelled, and the seats offered to the waitlists.`,
+                "This can't be undone.",
+            ],
+            confirmLabel: "Delete user",
+            danger: true,
+        });
+        if (!confirmed) return;
+
+        const result = await deleteUser(user.id);
+        if (!result.ok) {
+            notifyError(result.error);
+            return;
+        }
+        showToast(`The account of ${user.email} was deleted.`, ToastType.SUCCESS);
+        loadUsers();
+    }
+
+    /** Finds the user a control of the list belongs to. */
+    function findUser(control) {
+        return users.find(listed => String(listed.id) === control.dataset.id);
+    }
+
+    /** Handles clicks on the 'Disable'/'Enable' and 'Delete' buttons. */
+    function handleUserListClick(clickEvent) {
+        const user = findUser(clickEvent.target);
+        if (!user) return;
+        if (clickEvent.target.matches(".toggle-disabled-btn")) handleToggleDisabled(user);
+        else if (clickEvent.target.matches(".delete-btn")) handleDelete(user);
+    }
+
+    /** Handles a role picked in a row's select. */
+    function handleUserListChange(changeEvent) {
+        const user = findUser(changeEvent.target);
+        if (user && changeEvent.target.matches(".role-select")) handleRoleChange(user, changeEvent.target.value);
+    }
+
+    // --- ATTACH EVENT LISTENERS for the Users View ---
+    searchForm.addEventListener("input", loadUsers);
+    searchForm.addEventListener("submit", event => event.preventDefault()); // Pressing Enter shouldn't reload the page
+    userList.addEventListener("click", handleUserListClick);
+    userList.addEventListener("change", handleUserListChange);
+
+    loadUsers();
+}
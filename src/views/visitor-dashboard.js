@@ -0,0 +1,209 @@
+/**
+ * @file Logic for the visitor's dashboard, where they browse events and manage their registrations.
+ */
+
+import { getCurrentUser } from "../auth.js";
+import { getAllEvents } from "../controllers/eventController.js";
+import { getMyTickets } from "../controllers/ticketController.js";
+import { renderEnrollButton, runRegistrationAction } from "../utils/registration.js";
+import { bindFilterToolbar, toQueryOptions, updateLocationOptions } from "../utils/eventFilters.js";
+import { createPaginatedList } from "../utils/pagination.js";
+import { renderCalendarLink, bindCalendarFeedPanel } from "../utils/calendar.js";
+import { renderQrCode } from "../utils/qr.js";
+import { notifyError } from "../utils/notifications.js";
+import { html, setHtml } from "../utils/html.js";
+import { loadCategories, fillCategoryOptions, renderEventChips, renderEventCover } from "../utils/eventLabels.js";
+import { watchEventChanges, EventChange } from "../utils/liveUpdates.js";
+import { isPastEvent, formatEventDateRange } from "../utils/dates.js";
+
+/**
+ * The number of available events loaded per page.
+ * @type {number}
+ */
+const PAGE_SIZE = 10;
+
+/**
+ * Initializes the Visitor Dashboard.
+ * @param {object} context - The route context.
+ * @param {object} context.user - The currently logged-in visitor user object.
+ */
+export default async function initializeVisitorDashboard({ user }) {
+    const availableEventsElement = document.getElementById("available-events-list"); // ID a cambiar en HTML
+    const myEventsElement = document.getElementById("my-events-list"); // ID a cambiar en HTML
+    const myPastEventsElement = document.getElementById("my-past-events-list");
+    const filterForm = document.getElementById("event-filters");
+    const listStatusElement = document.getElementById("available-events-status");
+    const loadMoreButton = document.getElementById("available-events-more");
+    const calendarFeedPanel = document.getElementById("calendar-feed");
+    if (!availableEventsElement || !myEventsElement || !myPastEventsElement || !filterForm || !listStatusElement || !loadMoreButton || !calendarFeedPanel) return;
+
+    let filters = {};
+    // The user's tickets, keyed by event ID
+    let ticketsByEvent = new Map();
+    // The IDs of the events listed under "My events", to know which changes affect them
+    let myEventIds = new Set();
+    // The categories by ID, to render the cards' chips
+    let categories = new Map();
+
+    /** Builds the card of an event available for enrollment. */
+    function createAvailableEventCard(event) {
+        // A attendee can enroll of they are not already enrolled and there is capacity.
+        const isRegistered = event.attendees.includes(user.id);
+        // Check if the event has capacity left
+        const hasCapacity = event.attendees.length < event.capacity; 
+        // Position in the waitlist is 1-based for display; 0 means the user is not queued
+        const waitlistPosition = (event.waitlist || []).indexOf(user.id) + 1;
+
+        const eventCard = document.createElement("div");
+        eventCard.classList.add("event-card");
+        eventCard.dataset.eventId = event.id; // Lets the card be replaced in place after an action
+        setHtml(eventCard, html`
+            ${renderEventCover(event)}
+            <h3><a href="/events/${event.id}">${event.title}</a></h3>
+            ${renderEventChips(event, categories)}
+            <p>${event.description}</p>
+            <p><strong>When:</strong> ${formatEventDateRange(event)}</p>
+            <p><strong>Attendees:</strong> ${event.attendees.length} / ${event.capacity}</p>
+            ${waitlistPosition ? html`<p><strong>Waitlist position:</strong> ${waitlistPosition} of ${event.waitlist.length}</p>` : ""}
+            <div class="actions">
+                ${renderEnrollButton(event, isRegistered, hasCapacity, waitlistPosition)}
+                ${renderCalendarLink(event)}
+            </div>
+        `);
+        return eventCard;
+    }
+
+    /** Renders the ticket of a registration as a QR code for check-in, with its code for manual entry. */
+    function renderTicket(ticket) {
+        if (!ticket) return "";
+        return html`
+            <div class="ticket">
+                <div class="ticket-qr" role="img" aria-label="Ticket QR code">${renderQrCode(ticket.code)}</div>
+                <p>Ticket code: <code>${ticket.code}</code></p>
+                ${ticket.checkedInAt ? html`<p class="ticket-status">Checked in</p>` : ""}
+            </div>
+        `;
+    }
+
+    /** Renders the events the current attendee is enrolled in, split into upcoming and past ones. */
+    function renderMyEvents(myRegisteredEvents) {
+        const upcomingEvents = myRegisteredEvents.filter(event => !isPastEvent(event));
+        // Most recent first, since older events are rarely relevant
+        const pastEvents = myRegisteredEvents.filter(isPastEvent).reverse();
+
+        renderMyEventCards(myEventsElement, upcomingEvents, "You are not registered in any upcoming events yet.");
+        renderMyEventCards(myPastEventsElement, pastEvents, "You haven't attended any events yet.");
+    }
+
+    /** Renders a list of registered events. Only upcoming ones can be unenrolled from. */
+    function renderMyEventCards(container, events, emptyMessage) {
+        container.innerHTML = ""; 
+
+        if (events.length === 0) {
+            setHtml(container, html`<p>${emptyMessage}</p>`);
+            return;
+        }
+
+        events.forEach(event => {
+            const eventCard = document.createElement("div");
+            eventCard.classList.add("event-card");
+            setHtml(eventCard, html`
+                <h3><a href="/events/${event.id}">${event.title}</a></h3>
+                ${renderEventChips(event, categories)}
+                <p>${event.description}</p>
+                <p><strong>When:</strong> ${formatEventDateRange(event)}</p>
+                ${isPastEvent(event) ? "" : renderTicket(ticketsByEvent.get(String(event.id)))}
+                <div class="actions">
+                    ${isPastEvent(event) ? "" : html`<button class="unenroll-btn" data-event-id="${event.id}">Unenroll</button>`}
+                    ${renderCalendarLink(event)}
+                </div>
+            `);
+            container.appendChild(eventCard);
+        });
+    }
+
+    /** Fetches one page of upcoming events matching the current filters. Past events can't be registered for. */
+    async function fetchAvailableEventsPage(page, limit) {
+        const result = await getAllEvents({ ...toQueryOptions({ ...filters, status: "upcoming" }, user), page, limit });
+        if (result.ok) updateLocationOptions(filterForm, result.data.events);
+        return result;
+    }
+
+    const availableEventsList = createPaginatedList({
+        container: availableEventsElement,
+        status: listStatusElement,
+        loadMoreButton,
+        pageSize: PAGE_SIZE,
+        fetchPage: fetchAvailableEventsPage,
+        renderItem: createAvailableEventCard,
+        emptyMessage: "No events match the current filters.",
+    });
+
+    /** Fetches and renders every event the user is registered for, with their tickets. They are never paginated or filtered. */
+    async function loadMyEvents() {
+        const [eventsResult, ticketsResult] = await Promise.all([
+            getAllEvents({ attendeeId: user.id, sort: "start" }),
+            getMyTickets(),
+        ]);
+        if (!eventsResult.ok) {
+            notifyError(eventsResult.error);
+            return;
+        }
+        // The events are still worth showing without their tickets
+        if (!ticketsResult.ok) notifyError(ticketsResult.error);
+        const tickets = ticketsResult.ok ? ticketsResult.data : [];
+        ticketsByEvent = new Map(tickets.map(ticket => [String(ticket.eventId), ticket]));
+        myEventIds = new Set(eventsResult.data.events.map(event => String(event.id)));
+        renderMyEvents(eventsResult.data.events);
+    }
+
+    /** Handles the click on an 'Enroll' button. */
+    async function handleDashboardClick(event) {
+        const updatedEvent = await runRegistrationAction(event.target);
+        if (!updatedEvent) return;
+
+        // Refresh only the affected card, so the user keeps their scroll position in the list
+        const card = availableEventsElement.querySelector(`.event-card[data-event-id="${updatedEvent.id}"]`);
+        if (card) card.replaceWith(createAvailableEventCard(updatedEvent));
+        loadMyEvents();
+    }
+    
+
+    /**
+     * Applies a change made elsewhere (another visitor, an administrator or another tab) to the cards on screen.
+     * New events are left out, since they may not match the filters or belong on the loaded pages.
+     */
+    function handleEventChange({ type, id, event }) {
+        const card = availableEventsElement.querySelector(`.event-card[data-event-id="${id}"]`);
+        if (type === EventChange.UPDATED && card) card.replaceWith(createAvailableEventCard(event));
+        if (type === EventChange.DELETED && card) card.remove();
+
+        // The user's own registrations may have changed too, e.g. promoted from the waitlist
+        const wasMine = myEventIds.has(String(id));
+        const isMine = type !== EventChange.DELETED && event.attendees.includes(user.id);
+        if (wasMine || isMine) loadMyEvents();
+    }
+
+    async function loadVisitorView() {
+        if (!getCurrentUser()) return;
+        await Promise.all([availableEventsList.reset(), loadMyEvents()]);
+    }
+
+    // --- ATTACH EVENT LISTENERS for the Visitor View ---
+    // Attach the click handler to both lists. They are recreated with the view,
+    // so the listeners don't outlive it (unlike listeners on #app-root).
+    availableEventsElement.addEventListener('click', handleDashboardClick);
+    myEventsElement.addEventListener('click', handleDashboardClick);
+    bindCalendarFeedPanel(calendarFeedPanel);
+    watchEventChanges(availableEventsElement, handleEventChange);
+    // The category options must exist before the filters are read from the URL
+    categories = await loadCategories();
+    fillCategoryOptions(filterForm.elements.category, categories);
+    filters = bindFilterToolbar(filterForm, (newFilters) => {
+        filters = newFilters;
+        availableEventsList.reset();
+    });
+
+    // --- INITIAL DATA LOAD ---
+    loadVisitorView();
+}
@@ -0,0 +1,129 @@
+/**
+ * @file Checks that the event cards of both dashboards show malicious event data as text.
+ * The real views run in a simulated browser, against a stubbed API that returns a booby-trapped event.
+ * @vitest-environment jsdom
+ */
+
+import { describe, test, expect, vi, beforeEach, afterEach } from "vitest";
+import { readFileSync } from "node:fs";
+import { resolve } from "node:path";
+import { saveUserInfo, logOut } from "../src/auth.js";
+import initializeAdminDashboard from "../src/views/admin-dashboard.js";
+import initializeVisitorDashboard from "../src/views/visitor-dashboard.js";
+
+/**
+ * An event whose every text field tries to inject markup.
+ * @type {object}
+ */
+const MALICIOUS_EVENT = {
+    id: 7,
+    title: "<img src=x onerror=alert('title')>",
+    description: "<script>alert('description')</script>",
+    location: "\"><svg onload=alert('location')>",
+    start: "2099-01-01T10:00:00.000Z",
+    end: "2099-01-01T12:00:00.000Z",
+    timezone: "UTC",
+    capacity: 10,
+    attendees: [],
+    waitlist: [],
+    seatsLeft: 10,
+    ownerId: null,
+    category: 1,
+    tags: ["<b onmouseover=alert('tag')>tag</b>"],
+    image: "x\" onerror=\"alert('image')",
+};
+
+/**
+ * A category whose name tries to inject markup too.
+ * @type {object}
+ */
+const MALICIOUS_CATEGORY = { id: 1, name: "<i onclick=alert('category')>Music</i>", color: "#ff0000" };
+
+/**
+ * Builds a session token the app can read the user from. Only the server checks the signature.
+ * @param {object} user - The user, with their `id`, `email` and `role`.
+ * @returns {string} The token.
+ */
+function createToken(user) {
+    const payload = btoa(JSON.stringify({ sub: user.id, email: user.email, role: user.role }));
+    return `${payload}.signature`;
+}
+
+/**
+ * Answers the API requests the dashboards make.
+ * @param {string} url - The requested URL.
+ * @returns {Response} The response.
+ */
+function answer(url) {
+    const { pathname } = new URL(url);
+    const json = (data, headers = {}) => new Response(JSON.stringify(data), { headers: { "Content-Type": "application/json", ...headers } });
+    if (pathname === "/events") return json([MALICIOUS_EVENT], { "X-Total-Count": "1" });
+    if (pathname === "/categories") return json([MALICIOUS_CATEGORY]);
+    return json([]);
+}
+
+/**
+ * Shows a view, logged in as a user, and waits for its first event card.
+ * @param {string} view - The name of the view, e.g. "admin-dashboard".
+ * @param {Function} initialize - The view's initializer.
+ * @param {object} user - The logged-in user.
+ * @returns {Promise<Element>} The card.
+ */
+async function renderCard(view, initialize, user) {
+    saveUserInfo({ token: createToken(user), expiresAt: Date.now() + 60 * 60 * 1000 });
+    // Vitest runs from the repository's root
+    document.body.innerHTML = readFileSync(resolve("src/views", `${view}.html`), "utf-8");
+    await initialize({ user, params: {} });
+    return vi.waitFor(() => {
+        const card = document.querySelector(".event-card");
+        if (!card) throw new Error("The event card was not rendered.");
+        return card;
+    });
+}
+
+/**
+ * Checks that nothing in the page came from the event's data as markup.
+ * @param {Element} card - The event card.
+ */
+function expectNoInjectedMarkup(card) {
+    expect(document.querySelectorAll("script, svg, b, i, [onerror], [onload], [onclick], [onmouseover]")).toHaveLength(0);
+    expect(card.querySelector("h3").textContent).toBe(MALICIOUS_EVENT.title);
+    expect(card.textContent).toContain(MALICIOUS_EVENT.description);
+    expect(card.textContent).toContain(MALICIOUS_CATEGORY.name);
+    expect(card.textContent).toContain(`#${MALICIOUS_EVENT.tags[0]}`);
+    // The cover image keeps the whole value as its address
+    expect(card.querySelector(".event-cover").getAttribute("src")).toBe(MALICIOUS_EVENT.image);
+}
+
+beforeEach(() => {
+    vi.stubGlobal("fetch", vi.fn(async (url) => answer(url)));
+    // jsdom doesn't lay pages out, so the infinite scroll never triggers; the first page is loaded regardless
+    vi.stubGlobal("IntersectionObserver", class {
+        observe() {}
+        unobserve() {}
+        disconnect() {}
+    });
+    vi.spyOn(console, "warn").mockImplementation(() => {}); // The offline cache is unavailable in the simulated browser
+});
+
+afterEach(() => {
+    logOut();
+    document.body.innerHTML = "";
+    vi.unstubAllGlobals();
+    vi.restoreAllMocks();
+});
+
+describe("event cards", () => {
+    test("the administrator's cards show the title, description, location and labels as text", async () => {
+        const card = await renderCard("admin-dashboard", initializeAdminDashboard,
+            { id: 1, email: "admin@events.com", role: "administrator" });
+        expectNoInjectedMarkup(card);
+        expect(card.textContent).toContain(MALICIOUS_EVENT.location);
+    });
+
+    test("the visitor's cards show the title, description and labels as text", async () => {
+        const card = await renderCard("visitor-dashboard", initializeVisitorDashboard,
+            { id: 2, email: "visitor1@test.com", role: "visitor" });
+        expectNoInjectedMarkup(card);
+    });
+});
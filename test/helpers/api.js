@@ -0,0 +1,78 @@
+/**
+ * @file Runs the real API for the server tests, against a scratch copy of db.json, and sends it requests.
+ * Each test file starts its own server on a free port, so the files can run side by side.
+ */
+
+import { spawn } from "node:child_process";
+import { copyFileSync, mkdtempSync, rmSync } from "node:fs";
+import { createServer } from "node:net";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { fileURLToPath } from "node:url";
+
+/**
+ * The repository's root directory.
+ * @type {string}
+ */
+const ROOT = fileURLToPath(new URL("../..", import.meta.url));
+
+/**
+ * Finds a port nobody is listening on.
+ * @returns {Promise<number>} The port.
+ */
+function findFreePort() {
+    return new Promise((resolve, reject) => {
+        const probe = createServer();
+        probe.on("error", reject);
+        probe.listen(0, () => {
+            const { port } = probe.address();
+            probe.close(() => resolve(port));
+        });
+    });
+}
+
+/**
+ * A running API and the means to talk to it.
+ * @typedef {object} TestApi
+ * @property {(path: string, options?: {method?: string, body?: object, token?: string}) => Promise<{status: number, data: *}>} request
+ * Sends a request, with an optional JSON body and session token, and resolves to the status and the parsed body.
+ * @property {(email: string, password: string) => Promise<{id: number, token: string}>} logIn
+ * Logs a user in, and resolves to their ID and session token.
+ * @property {() => void} stop - Stops the server and deletes its database.
+ */
+
+/**
+ * Starts the API against a scratch copy of db.json, and waits until it listens.
+ * @returns {Promise<TestApi>} The running API.
+ */
+export async function startApi() {
+    const scratchDir = mkdtempSync(join(tmpdir(), "events-api-"));
+    const dbFile = join(scratchDir, "db.json");
+    copyFileSync(join(ROOT, "db.json"), dbFile);
+    const port = await findFreePort();
+    const baseUrl = `http://localhost:${port}`;
+
+    const server = spawn(process.execPath, ["server/server.js"], { cwd: ROOT, env: { ...process.env, PORT: String(port), DB_FILE: dbFile } });
+    await new Promise((resolve, reject) => {
+        server.stdout.on("data", chunk => {
+            if (String(chunk).includes("is running")) resolve();
+        });
+        server.on("exit", code => reject(new Error(`The API exited with code ${code}.`)));
+    });
+
+    const request = async (path, { method = "GET", body, token } = {}) => {
+        const headers = { "Content-Type": "application/json" };
+        if (token) headers.Authorization = `Bearer ${token}`;
+        const response = await fetch(`${baseUrl}${path}`, { method, headers, body: body && JSON.stringify(body) });
+        return { status: response.status, data: await response.json() };
+    };
+    const logIn = async (email, password) => {
+        const { data } = await request("/auth/login", { method: "POST", body: { email, password } });
+        return { id: data.user.id, token: data.token };
+    };
+    const stop = () => {
+        server.kill();
+        rmSync(scratchDir, { recursive: true, force: true });
+    };
+    return { request, logIn, stop };
+}
@@ -0,0 +1,65 @@
+/**
+ * @file Checks that the `html` template escapes every interpolated value, and only leaves explicit safe fragments as markup.
+ */
+
+import { describe, test, expect } from "vitest";
+import { html, trustedHtml, setHtml, escapeHtml, SafeHtml } from "../src/utils/html.js";
+
+/**
+ * A title that would run a script if it were inserted as markup.
+ * @type {string}
+ */
+const MALICIOUS_TITLE = "<img src=x onerror=alert(1)>";
+
+describe("html", () => {
+    test("escapes interpolated text", () => {
+        expect(String(html`<h3>${MALICIOUS_TITLE}</h3>`)).toBe("<h3>&lt;img src=x onerror=alert(1)&gt;</h3>");
+    });
+
+    test("escapes quotes, so values can't break out of an attribute", () => {
+        const location = `"><svg onload=alert(1)>`;
+        expect(String(html`<a title="${location}">x</a>`)).toBe(`<a title="&quot;&gt;&lt;svg onload=alert(1)&gt;">x</a>`);
+        expect(escapeHtml("Rock 'n' roll & more")).toBe("Rock &#39;n&#39; roll &amp; more");
+    });
+
+    test("returns a safe fragment, which can be nested without being escaped twice", () => {
+        const title = html`<strong>${MALICIOUS_TITLE}</strong>`;
+        expect(title).toBeInstanceOf(SafeHtml);
+        expect(String(html`<h3>${title}</h3>`)).toBe("<h3><strong>&lt;img src=x onerror=alert(1)&gt;</strong></h3>");
+    });
+
+    test("joins arrays, escaping each item", () => {
+        const tags = ["<b>bold</b>", html`<i>safe</i>`];
+        expect(String(html`<ul>${tags}</ul>`)).toBe("<ul>&lt;b&gt;bold&lt;/b&gt;<i>safe</i></ul>");
+    });
+
+    test("renders nothing for null, undefined and false, but keeps zero", () => {
+        expect(String(html`[${null}${undefined}${false}${0}]`)).toBe("[0]");
+    });
+
+    test("only trusts markup wrapped in a SafeHtml", () => {
+        expect(String(html`${trustedHtml("<svg></svg>")}`)).toBe("<svg></svg>");
+        // Looking like a safe fragment isn't enough
+        expect(String(html`${{ markup: "<b>x</b>", toString: () => "<b>x</b>" }}`)).toBe("&lt;b&gt;x&lt;/b&gt;");
+    });
+});
+
+describe("setHtml", () => {
+    test("inserts safe fragments as markup", () => {
+        const element = { innerHTML: "" };
+        setHtml(element, html`<p>${MALICIOUS_TITLE}</p>`);
+        expect(element.innerHTML).toBe("<p>&lt;img src=x onerror=alert(1)&gt;</p>");
+    });
+
+    test("inserts plain strings as text", () => {
+        const element = { innerHTML: "" };
+        setHtml(element, MALICIOUS_TITLE);
+        expect(element.innerHTML).toBe("&lt;img src=x onerror=alert(1)&gt;");
+    });
+
+    test("joins lists of fragments", () => {
+        const element = { innerHTML: "" };
+        setHtml(element, ["<b>", html`<li>${"<b>"}</li>`]);
+        expect(element.innerHTML).toBe("&lt;b&gt;<li>&lt;b&gt;</li>");
+    });
+});
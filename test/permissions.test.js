@@ -0,0 +1,162 @@
+/**
+ * @file Checks the permission policy, and that the API enforces it for organizers: they manage the events they own,
+ * and nothing of the others, their attendees' tickets included. The real API runs against a scratch copy of db.json.
+ */
+
+import { describe, test, beforeAll, afterAll, expect } from "vitest";
+import { can, canOnAny, Action, Role } from "../src/permissions.js";
+import { startApi } from "./helpers/api.js";
+
+/**
+ * Builds the body of a valid event, a month from now.
+ * @param {string} title - The event's title.
+ * @returns {object} The event.
+ */
+function futureEvent(title) {
+    const start = new Date(Date.now() + 30 * 24 * 60 * 60 * 1000);
+    return {
+        title,
+        description: "An event for the permission tests.",
+        location: "Test room",
+        start: start.toISOString(),
+        end: new Date(start.getTime() + 60 * 60 * 1000).toISOString(),
+        timezone: "UTC",
+        capacity: 10,
+        attendees: [],
+        waitlist: [],
+    };
+}
+
+describe("can", () => {
+    const organizer = { id: 5, role: Role.ORGANIZER };
+    const ownEvent = { id: 1, ownerId: 5 };
+    const otherEvent = { id: 2, ownerId: 6 };
+
+    test("lets organizers manage the events they own, and no other", () => {
+        expect(can(organizer, Action.UPDATE_EVENT, ownEvent)).toBe(true);
+        expect(can(organizer, Action.UPDATE_EVENT, otherEvent)).toBe(false);
+        expect(can(organizer, Action.MANAGE_ATTENDEES, { id: 3, ownerId: null })).toBe(false);
+        // Without the event, the question is whether they may at all
+        expect(can(organizer, Action.DELETE_EVENT)).toBe(true);
+    });
+
+    test("keeps the whole site to administrators", () => {
+        [Action.MANAGE_USERS, Action.MANAGE_TRASH, Action.MANAGE_CATEGORIES, Action.VIEW_ANALYTICS].forEach(action => {
+            expect(can(organizer, action)).toBe(false);
+            expect(can({ id: 1, role: Role.ADMINISTRATOR }, action)).toBe(true);
+        });
+    });
+
+    test("only lets organizers look up the people on their own events", () => {
+        expect(can(organizer, Action.VIEW_USERS, ownEvent)).toBe(true);
+        expect(can(organizer, Action.VIEW_USERS, otherEvent)).toBe(false);
+        expect(canOnAny(organizer, Action.VIEW_USERS)).toBe(false);
+        expect(canOnAny({ id: 1, role: Role.ADMINISTRATOR }, Action.VIEW_USERS)).toBe(true);
+    });
+
+    test("lets guests do nothing", () => {
+        Object.values(Action).forEach(action => expect(can(null, action)).toBe(false));
+        expect(canOnAny(null, Action.VIEW_USERS)).toBe(false);
+    });
+});
+
+describe("the API, for organizers", () => {
+    let api;
+    let organizer;
+    let visitor;
+    let ownEvent;
+    let otherEvent;
+
+    /** Sends a request as the organizer. */
+    const asOrganizer = (method, path, body) => api.request(path, { method, body, token: organizer.token });
+
+    beforeAll(async () => {
+        api = await startApi();
+        const admin = await api.logIn("admin@events.com", "admin123");
+        organizer = await api.logIn("organizer@events.com", "organizer123");
+        visitor = await api.logIn("visitor1@test.com", "visitor123");
+
+        // Another organizer owns the other event
+        await api.request("/users", {
+            method: "POST",
+            token: admin.token,
+            body: { email: "other.organizer@test.com", password: "organizer123", role: "organizer" },
+        });
+        const otherOrganizer = await api.logIn("other.organizer@test.com", "organizer123");
+        ({ data: ownEvent } = await asOrganizer("POST", "/events", futureEvent("Own event")));
+        ({ data: otherEvent } = await api.request("/events", { method: "POST", body: futureEvent("Other event"), token: otherOrganizer.token }));
+
+        // The visitor holds a ticket for the other event
+        await api.request(`/events/${otherEvent.id}/registrations`, { method: "POST", body: {}, token: visitor.token });
+    }, 30000);
+
+    afterAll(() => {
+        api?.stop();
+    });
+
+    test("own the events they create, whatever the body says", async () => {
+        expect(ownEvent.ownerId).toBe(organizer.id);
+        const { status, data } = await asOrganizer("PATCH", `/events/${ownEvent.id}`, { title: "Own event, renamed", ownerId: 999 });
+        expect(status).toBe(200);
+        expect(data).toMatchObject({ title: "Own event, renamed", ownerId: organizer.id });
+    });
+
+    test("can't change or delete someone else's event", async () => {
+        expect((await asOrganizer("PATCH", `/events/${otherEvent.id}`, { title: "Taken over" })).status).toBe(403);
+        expect((await asOrganizer("PUT", `/events/${otherEvent.id}`, futureEvent("Taken over"))).status).toBe(403);
+        expect((await asOrganizer("DELETE", `/events/${otherEvent.id}`)).status).toBe(403);
+        // Events without an owner belong to the administrators
+        expect((await asOrganizer("PATCH", "/events/1", { title: "Taken over" })).status).toBe(403);
+    });
+
+    test("read the tickets of their own events only", async () => {
+        expect((await asOrganizer("GET", `/events/${ownEvent.id}/tickets`)).status).toBe(200);
+        expect((await asOrganizer("GET", `/events/${otherEvent.id}/tickets`)).status).toBe(403);
+        expect((await asOrganizer("GET", "/tickets")).status).toBe(403);
+        expect((await asOrganizer("GET", "/events/999/tickets")).status).toBe(404);
+    });
+
+    test("can't pull tickets in through other routes", async () => {
+        const paths = [
+            "/users?_embed=tickets",
+            "/users/2?_embed=x&_embed=tickets",
+            `/events/${otherEvent.id}?_embed=tickets`,
+            "/events?_embed=tickets",
+            "/events/1?_embed= tickets.0",
+            "/tickets?_expand=user",
+            "/categories/1/tickets?eventId=1",
+            "/trash/1/tickets",
+        ];
+        const statuses = await Promise.all(paths.map(async path => [path, (await asOrganizer("GET", path)).status]));
+        expect(statuses).toEqual(paths.map(path => [path, 403]));
+    });
+
+    test("see the emails of the people on their own events, and nobody else's", async () => {
+        expect((await asOrganizer("GET", "/users")).status).toBe(403);
+        expect((await asOrganizer("GET", `/users?id=${visitor.id}`)).status).toBe(403);
+
+        await asOrganizer("POST", `/events/${ownEvent.id}/registrations`, { email: "VISITOR1@test.com" });
+        const { status, data } = await asOrganizer("GET", `/users?id=${visitor.id}`);
+        expect(status).toBe(200);
+        expect(data).toEqual([{ id: visitor.id, email: "visitor1@test.com" }]);
+        expect((await asOrganizer("GET", `/users/${visitor.id}`)).data).toEqual({ id: visitor.id, email: "visitor1@test.com" });
+        // Their own account is theirs to read
+        expect((await asOrganizer("GET", `/users/${organizer.id}`)).data).toMatchObject({ role: "organizer" });
+    });
+
+    test("add attendees to their own events by email, and not to someone else's", async () => {
+        const unknown = await asOrganizer("POST", `/events/${ownEvent.id}/registrations`, { email: "nobody@test.com" });
+        expect(unknown.status).toBe(404);
+        const other = await asOrganizer("POST", `/events/${otherEvent.id}/registrations`, { email: "visitor2@event.com" });
+        expect(other.status).toBe(403);
+    });
+
+    test("learn nothing about another event from its tickets at check-in", async () => {
+        const { data: tickets } = await api.request(`/users/${visitor.id}/tickets`, { token: visitor.token });
+        const ticket = tickets.find(({ eventId }) => eventId === otherEvent.id);
+        const { status, data } = await asOrganizer("POST", `/events/${ownEvent.id}/check-ins`, { code: ticket.code });
+        expect(status).toBe(409);
+        expect(data.error).toBe("This ticket is for another event.");
+        expect(data).not.toHaveProperty("attendee");
+    });
+});
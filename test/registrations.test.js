@@ -0,0 +1,146 @@
+/**
+ * @file Checks that registrations sent at the same time can never oversell an event.
+ * The real API runs against a scratch copy of db.json, and the requests are fired in parallel.
+ */
+
+import { test, beforeAll, afterAll, expect } from "vitest";
+import { startApi } from "./helpers/api.js";
+
+/**
+ * How many visitors compete for the seats.
+ * @type {number}
+ */
+const VISITORS = 12;
+
+/**
+ * The capacity of the test event, smaller than the number of visitors.
+ * @type {number}
+ */
+const CAPACITY = 4;
+
+let api;
+let adminToken;
+// The visitors created for the test, with their session tokens
+let visitors = [];
+let eventId;
+
+/**
+ * Reads the test event and the tickets issued for it.
+ * @returns {Promise<{event: object, tickets: object[]}>}
+ */
+async function readEvent() {
+    const [{ data: event }, { data: tickets }] = await Promise.all([
+        api.request(`/events/${eventId}`),
+        api.request(`/events/${eventId}/tickets`, { token: adminToken }),
+    ]);
+    return { event, tickets };
+}
+
+/**
+ * Checks that an event's seats, waitlist and tickets agree with each other.
+ * @param {object} event - The event.
+ * @param {object[]} tickets - Its tickets.
+ */
+function assertConsistent(event, tickets) {
+    const attendees = event.attendees.map(String);
+    const waitlist = event.waitlist.map(String);
+    expect(attendees.length, "The event is oversold.").toBeLessThanOrEqual(event.capacity);
+    expect(new Set(attendees).size, "Someone holds two seats.").toBe(attendees.length);
+    expect(new Set(waitlist).size, "Someone is twice on the waitlist.").toBe(waitlist.length);
+    expect(waitlist.filter(id => attendees.includes(id)), "An attendee is still on the waitlist.").toEqual([]);
+    expect(event.seatsLeft).toBe(event.capacity - attendees.length);
+    expect(tickets.map(ticket => String(ticket.userId)).sort(), "The tickets don't match the attendees.").toEqual([...attendees].sort());
+}
+
+beforeAll(async () => {
+    api = await startApi();
+    ({ token: adminToken } = await api.logIn("admin@events.com", "admin123"));
+    visitors = await Promise.all(Array.from({ length: VISITORS }, async (_, index) => {
+        const email = `concurrent${index}@test.com`;
+        await api.request("/auth/register", { method: "POST", body: { email, password: "visitor123" } });
+        return api.logIn(email, "visitor123");
+    }));
+
+    const start = new Date(Date.now() + 30 * 24 * 60 * 60 * 1000);
+    const { data: event } = await api.request("/events", {
+        method: "POST",
+        token: adminToken,
+        body: {
+            title: "Concurrency test",
+            description: "Many visitors, few seats.",
+            location: "Test room",
+            start: start.toISOString(),
+            end: new Date(start.getTime() + 2 * 60 * 60 * 1000).toISOString(),
+            timezone: "UTC",
+            capacity: CAPACITY,
+            attendees: [],
+            waitlist: [],
+        },
+    });
+    eventId = event.id;
+}, 30000);
+
+afterAll(() => {
+    api?.stop();
+});
+
+test("parallel registrations never exceed the capacity", async () => {
+    const responses = await Promise.all(visitors.map(visitor =>
+        api.request(`/events/${eventId}/registrations`, { method: "POST", token: visitor.token, body: {} })));
+
+    const accepted = responses.filter(response => response.status === 201);
+    const rejected = responses.filter(response => response.status !== 201);
+    expect(accepted).toHaveLength(CAPACITY);
+    expect(rejected.map(response => [response.status, response.data.reason])).toEqual(rejected.map(() => [409, "full"]));
+    expect(accepted.every(response => response.data.seatsLeft >= 0)).toBe(true);
+
+    const { event, tickets } = await readEvent();
+    expect(event.attendees).toHaveLength(CAPACITY);
+    assertConsistent(event, tickets);
+});
+
+test("parallel cancellations and waitlist changes keep the seats consistent", async () => {
+    const { event: full } = await readEvent();
+    const isAttendee = visitor => full.attendees.some(id => String(id) === String(visitor.id));
+    const attendees = visitors.filter(isAttendee);
+    const others = visitors.filter(visitor => !isAttendee(visitor));
+
+    const joins = await Promise.all(others.map(visitor =>
+        api.request(`/events/${eventId}/waitlist`, { method: "POST", token: visitor.token, body: {} })));
+    expect(joins.map(response => response.status)).toEqual(joins.map(() => 201));
+
+    // Every attendee leaves while the last two waitlisted visitors give up, all at once.
+    // Being last, they can't be promoted before their own request arrives.
+    const { event: queued } = await readEvent();
+    const leaving = queued.waitlist.slice(-2).map(id => others.find(visitor => String(visitor.id) === String(id)));
+    const responses = await Promise.all([
+        ...attendees.map(visitor => api.request(`/events/${eventId}/registrations/${visitor.id}`, { method: "DELETE", token: visitor.token })),
+        ...leaving.map(visitor => api.request(`/events/${eventId}/waitlist/${visitor.id}`, { method: "DELETE", token: visitor.token })),
+    ]);
+    expect(responses.map(response => response.status)).toEqual(responses.map(() => 200));
+    expect(responses.every(response => response.data.seatsLeft >= 0)).toBe(true);
+
+    const { event, tickets } = await readEvent();
+    // Enough visitors are still waiting to fill every freed seat
+    expect(event.attendees).toHaveLength(CAPACITY);
+    expect(event.waitlist).toHaveLength(others.length - leaving.length - CAPACITY);
+    const remaining = event.attendees.concat(event.waitlist).map(String);
+    expect([...attendees, ...leaving].filter(visitor => remaining.includes(String(visitor.id))), "Someone who left is back.").toEqual([]);
+    assertConsistent(event, tickets);
+});
+
+test("reordering the waitlist keeps everyone waiting", async () => {
+    const { event: { waitlist } } = await readEvent();
+    const [first, second] = waitlist;
+    const leaving = visitors.find(visitor => String(visitor.id) === String(first));
+    const moves = await Promise.all([
+        api.request(`/events/${eventId}/waitlist/${second}`, { method: "PATCH", token: adminToken, body: { direction: -1 } }),
+        api.request(`/events/${eventId}/waitlist/${first}`, { method: "DELETE", token: leaving.token }),
+    ]);
+    expect(moves.map(response => response.status)).toEqual([200, 200]);
+
+    const { event, tickets } = await readEvent();
+    expect(event.waitlist[0]).toBe(second);
+    expect(event.waitlist).toHaveLength(waitlist.length - 1);
+    assertConsistent(event, tickets);
+});
@@ -0,0 +1,174 @@
+/**
+ * @file Checks the account writes administrators make through the API: creating accounts, changing them
+ * and deleting them. The real API runs against a scratch copy of db.json.
+ */
+
+import { describe, test, beforeAll, afterAll, expect } from "vitest";
+import { startApi } from "./helpers/api.js";
+
+/**
+ * The seeded administrator, the only one in db.json.
+ * @type {{email: string, password: string}}
+ */
+const ADMIN = { email: "admin@events.com", password: "admin123" };
+
+let api;
+let admin;
+
+/**
+ * Sends a request as the administrator.
+ * @param {string} method - The HTTP method.
+ * @param {string} path - The path, e.g. "/users".
+ * @param {object} [body] - The JSON body.
+ * @returns {Promise<{status: number, data: *}>} The status and the parsed body.
+ */
+function asAdmin(method, path, body) {
+    return api.request(path, { method, body, token: admin.token });
+}
+
+beforeAll(async () => {
+    api = await startApi();
+    admin = await api.logIn(ADMIN.email, ADMIN.password);
+}, 30000);
+
+afterAll(() => {
+    api?.stop();
+});
+
+describe("creating accounts", () => {
+    test("stores a hash of the password, which logs the new user in", async () => {
+        const { status, data } = await asAdmin("POST", "/users", { email: "created@test.com", password: "created123", role: "organizer" });
+        expect(status).toBe(201);
+        expect(data).toMatchObject({ email: "created@test.com", role: "organizer" });
+        expect(data).not.toHaveProperty("password");
+        expect(data).not.toHaveProperty("passwordHash");
+
+        const login = await api.request("/auth/login", { method: "POST", body: { email: "created@test.com", password: "created123" } });
+        expect(login.status).toBe(200);
+    });
+
+    test("stores the email trimmed and lowercase, like at registration", async () => {
+        const { status, data } = await asAdmin("POST", "/users", { email: "  Mixed.Case@Test.com ", password: "mixed1234" });
+        expect(status).toBe(201);
+        expect(data.email).toBe("mixed.case@test.com");
+    });
+
+    test("refuses an email another account has, whatever its case", async () => {
+        const { status } = await asAdmin("POST", "/users", { email: "ADMIN@events.com", password: "another123" });
+        expect(status).toBe(409);
+    });
+
+    test("refuses an email that isn't text, and logging in keeps working", async () => {
+        const { status, data } = await asAdmin("POST", "/users", { email: ["array@test.com"], password: "array1234" });
+        expect(status).toBe(400);
+        expect(data.errors.email).toBe("The email must be text.");
+
+        const unknown = await api.request("/auth/login", { method: "POST", body: { email: "nobody@test.com", password: "nobody123" } });
+        expect(unknown.status).toBe(401);
+        const registration = await api.request("/auth/register", { method: "POST", body: { email: "after@test.com", password: "after1234" } });
+        expect(registration.status).toBe(201);
+    });
+
+    test("requires a password that follows the policy", async () => {
+        expect((await asAdmin("POST", "/users", { email: "nopassword@test.com" })).status).toBe(400);
+        expect((await asAdmin("POST", "/users", { email: "weak@test.com", password: "short" })).status).toBe(400);
+        expect((await asAdmin("POST", "/users", { email: "number@test.com", password: 12345678 })).status).toBe(400);
+    });
+
+    test("refuses a password hash chosen by the client", async () => {
+        const { status, data } = await asAdmin("POST", "/users", { email: "hash@test.com", password: "hashed123", passwordHash: "salt:hash" });
+        expect(status).toBe(400);
+        expect(data.errors).toHaveProperty("passwordHash");
+    });
+});
+
+describe("changing accounts", () => {
+    let user;
+
+    beforeAll(async () => {
+        ({ data: user } = await asAdmin("POST", "/users", { email: "changed@test.com", password: "changed123" }));
+    });
+
+    test("hashes a new password, which replaces the old one", async () => {
+        expect((await asAdmin("PATCH", `/users/${user.id}`, { password: "renewed123" })).status).toBe(200);
+
+        const login = (password) => api.request("/auth/login", { method: "POST", body: { email: "changed@test.com", password } });
+        expect((await login("renewed123")).status).toBe(200);
+        expect((await login("changed123")).status).toBe(401);
+        const { data: stored } = await asAdmin("GET", `/users/${user.id}`);
+        expect(stored).not.toHaveProperty("password");
+    });
+
+    test("refuses a password hash chosen by the client", async () => {
+        const { status } = await asAdmin("PATCH", `/users/${user.id}`, { passwordHash: "salt:hash" });
+        expect(status).toBe(400);
+    });
+
+    test("refuses an email that isn't text", async () => {
+        const { status } = await asAdmin("PATCH", `/users/${user.id}`, { email: ["changed@test.com"] });
+        expect(status).toBe(400);
+    });
+
+    test("refuses an email another account has, so both can still log in", async () => {
+        const { status } = await asAdmin("PATCH", `/users/${user.id}`, { email: " Admin@Events.com" });
+        expect(status).toBe(409);
+        expect((await api.logIn(ADMIN.email, ADMIN.password)).token).toEqual(expect.any(String));
+    });
+
+    test("accepts the account's own email, stored trimmed and lowercase", async () => {
+        const { status, data } = await asAdmin("PATCH", `/users/${user.id}`, { email: "CHANGED@test.com " });
+        expect(status).toBe(200);
+        expect(data.email).toBe("changed@test.com");
+    });
+
+    test("only accepts PATCH, since PUT would replace the password hash", async () => {
+        const { status } = await asAdmin("PUT", `/users/${user.id}`, { email: "changed@test.com", role: "visitor" });
+        expect(status).toBe(405);
+    });
+});
+
+describe("the last administrator", () => {
+    test("can't be demoted, disabled or deleted", async () => {
+        expect((await asAdmin("PATCH", `/users/${admin.id}`, { role: "visitor" })).status).toBe(409);
+        expect((await asAdmin("PATCH", `/users/${admin.id}`, { disabled: true })).status).toBe(409);
+        expect((await asAdmin("DELETE", `/users/${admin.id}`)).status).toBe(409);
+    });
+
+    test("can be demoted once another administrator is active", async () => {
+        const { data: other } = await asAdmin("POST", "/users", { email: "second.admin@test.com", password: "second123", role: "administrator" });
+        const { token } = await api.logIn("second.admin@test.com", "second123");
+        expect((await api.request(`/users/${other.id}`, { method: "PATCH", body: { role: "visitor" }, token: admin.token })).status).toBe(200);
+        // The demoted account can't manage users any more
+        expect((await api.request("/users", { token })).status).toBe(403);
+    });
+});
+
+describe("deleting accounts", () => {
+    test("gives the user's seat to the waitlist and revokes their ticket", async () => {
+        const [leaving, waiting] = await Promise.all(["leaving", "waiting"].map(async name => {
+            await asAdmin("POST", "/users", { email: `${name}@test.com`, password: `${name}123` });
+            return api.logIn(`${name}@test.com`, `${name}123`);
+        }));
+        const start = new Date(Date.now() + 30 * 24 * 60 * 60 * 1000);
+        const { data: event } = await asAdmin("POST", "/events", {
+            title: "Single seat",
+            description: "Only one visitor fits.",
+            location: "Test room",
+            start: start.toISOString(),
+            end: new Date(start.getTime() + 60 * 60 * 1000).toISOString(),
+            timezone: "UTC",
+            capacity: 1,
+            attendees: [],
+            waitlist: [],
+        });
+        await api.request(`/events/${event.id}/registrations`, { method: "POST", token: leaving.token, body: {} });
+        await api.request(`/events/${event.id}/waitlist`, { method: "POST", token: waiting.token, body: {} });
+
+        expect((await asAdmin("DELETE", `/users/${leaving.id}`)).status).toBe(200);
+
+        const { data: updated } = await api.request(`/events/${event.id}`);
+        expect(updated).toMatchObject({ attendees: [waiting.id], waitlist: [], seatsLeft: 0 });
+        const { data: tickets } = await asAdmin("GET", `/events/${event.id}/tickets`);
+        expect(tickets.map(ticket => ticket.userId)).toEqual([waiting.id]);
+    });
+});